@@ -1,3 +1,7 @@
+// Folder addin.js was loaded from, read while the script runs: the bundled translations sit next
+// to it, whichever page hosts the add-in
+const YARD_MOVE_ZONES_BASE_URL = document.currentScript ? new URL('.', document.currentScript.src).href : '';
+
 /**
  * Geotab Yard Move Zones Add-in
  * @returns {{initialize: Function, focus: Function, blur: Function}}
@@ -16,6 +20,224 @@ geotab.addin.yardMoveZones = function () {
     let filteredRegularZones = [];
     let filteredYardMoveZones = [];
 
+    // Every ZoneType in the database, whether they have been loaded yet, and the extra types shown
+    // as columns next to Yard Move Zones. Columns are keyed 'regular', 'yardmove' or by the extra type's id.
+    let zoneTypesById = new Map();
+    let zoneTypesLoaded = false;
+    let managedTypeIds = [];
+    let filteredTypeZones = {};
+    let databaseName = null;
+
+    // Groups by id, for zone badges and the group facet
+    let groupsById = new Map();
+
+    // Multi-select state per column, and the last clicked row for shift-click ranges
+    let selectedZoneIds = { regular: new Set(), yardmove: new Set() };
+    let lastSelectedIndex = { regular: null, yardmove: null };
+    let bulkMoveInProgress = false;
+
+    // Zone shown in the preview pane
+    let previewZoneId = null;
+
+    // Undo/redo history of classification changes, newest last
+    const undoStack = [];
+    const redoStack = [];
+    let eventListenersAttached = false;
+
+    // Parsed import file waiting for the user to confirm the dry-run diff
+    let pendingImport = null;
+
+    // Saved auto-classification rule sets of this database, and the one open in the editor
+    let ruleSets = [];
+    let editingRuleSet = null;
+    let rulePreview = null;
+
+    // Geometry checks for Yard Move Zones, until the database saves its own policy
+    const DEFAULT_GEOMETRY_POLICY = {
+        maxAreaSquareMeters: 1000000,
+        checkOverlaps: true,
+        mode: 'warn'
+    };
+
+    // Geometry validation policy of this database, and the audit of current Yard Move Zones
+    let geometryPolicy = { ...DEFAULT_GEOMETRY_POLICY };
+    let yardMoveOverlaps = new Map();
+    const zoneIssueCache = new Map();
+
+    // Pending lookups of geotab_databases documents by database name, and the chain of
+    // Yard Move Zone publishes to Firestore
+    const databaseDocRequests = new Map();
+    let publishQueue = Promise.resolve();
+
+    // Ids of every published Yard Move Zone after the last complete publish, or null when the user
+    // can't see the whole database; keeps the published count database-wide
+    let publishedYardMoveIds = null;
+
+    // The user's language and its string table, keyed by English text
+    let language = 'en';
+    let translations = {};
+
+    // What the current user's security clearance allows, and whether their data access covers the
+    // whole database rather than some groups, checked once at initialize
+    let permissions = { manageZones: true, manageZoneTypes: true, wholeDatabase: false };
+    let permissionCheck = Promise.resolve();
+
+    // Messages shown this session, newest first, and the last error of each zone whose save failed
+    let sessionLog = [];
+    const zoneErrors = new Map();
+
+    // Live sync: feed versions reached so far, when the board was last checked for deleted zones,
+    // the current poll loop, zones recently changed by someone else, and the zones of the drag
+    // in progress
+    let zoneFeedVersion = null;
+    let zoneTypeFeedVersion = null;
+    let deletionCheckedAt = 0;
+    let zoneLoadGeneration = 0;
+    let liveSyncTimer = null;
+    let liveSyncGeneration = 0;
+    let feedRenderPending = false;
+    let draggedZoneIds = new Set();
+    const remoteChangedZones = new Map();
+
+    // Row of each list that holds keyboard focus, by position in the filtered list
+    const focusedRowIndex = {};
+
+    // Virtualized lists by container id, with the zones and column they show
+    const virtualLists = {};
+
+    // Pending search of each column, so typing in one column doesn't cancel another's
+    const searchTimers = new Map();
+
+    // Latest entries of the database-wide activity log
+    let activityEntries = [];
+
+    // Zone open in the zone editor, null when creating a new one, and the version, name and
+    // points it was opened on
+    let editingZoneId = null;
+    let editingZoneOriginal = null;
+
+    // Yard move duty status logs of the last analytics run, and the driver names they reference
+    let usageLogs = [];
+    let usageDriverNames = new Map();
+
+    // Places found by the last yard discovery run, busiest first
+    let discoveryClusters = [];
+    let discoveryEventCount = 0;
+
+    // Time-bounded Yard Move designations by zone id, and the zone open in the period dialog
+    let designations = new Map();
+    let editingDesignationZoneId = null;
+
+    // Zone types that look like Yard Move Zones, the one in use included, and zone type ids that
+    // no longer exist, each with the ids of the zones carrying it as of the last load
+    let yardMoveTypeCandidates = [];
+    let orphanedZoneTypes = [];
+
+    // Moves that failed on the network or to throttling, waiting to be retried. Kept in localStorage
+    // per database so they survive a reload.
+    let moveQueue = [];
+    let moveQueueTimer = null;
+
+    // Attempts at saving a zone before giving up on repeated version conflicts
+    const MAX_SET_ATTEMPTS = 3;
+
+    // Delay before retrying a queued move, doubling with each failed attempt up to the longest
+    const MOVE_RETRY_BASE_MS = 5000;
+    const MOVE_RETRY_MAX_MS = 5 * 60 * 1000;
+
+    // Number of Get/Set calls grouped into one ExecuteMultiCall request
+    const MULTICALL_BATCH_SIZE = 50;
+
+    // Classification changes kept for undo
+    const MAX_HISTORY = 50;
+
+    // Zones and zone types fetched per GetFeed page
+    const ZONE_PAGE_SIZE = 5000;
+
+    // Writes per Firestore batch commit (Firestore allows up to 500)
+    const FIRESTORE_BATCH_SIZE = 400;
+
+    // Audit entries loaded into the activity log and zone history
+    const AUDIT_LOG_LIMIT = 500;
+
+    // Languages with a bundled string table in translations/ (English is the source text)
+    const SUPPORTED_LANGUAGES = ['en', 'fr', 'es'];
+
+    // Built-in security clearances, and whether they allow managing zones and zone types.
+    // Custom clearances derive from one of these, adding or removing identifiers.
+    const BUILT_IN_CLEARANCES = {
+        GroupEverythingSecurityId: true,
+        GroupSupervisorSecurityId: true,
+        GroupViewOnlySecurityId: false,
+        GroupNothingSecurityId: false
+    };
+    const MANAGE_ZONES_IDENTIFIER = 'ManageZones';
+    const MANAGE_ZONE_TYPES_IDENTIFIER = 'ManageZoneTypes';
+
+    // Toasts on screen at once, how long they stay, and the session log length
+    const MAX_TOASTS = 4;
+    const TOAST_DELAY_MS = 4000;
+    const TOAST_WARNING_DELAY_MS = 8000;
+    const MAX_SESSION_LOG = 200;
+
+    // Pause before a live region announcement, so repeated messages are read again
+    const ANNOUNCE_DELAY_MS = 100;
+
+    // Live sync poll interval, how often the board is checked for zones deleted elsewhere, and
+    // how long remotely changed zones stay highlighted
+    const FEED_POLL_INTERVAL_MS = 15000;
+    const DELETION_CHECK_INTERVAL_MS = 5 * 60 * 1000;
+    const REMOTE_HIGHLIGHT_MS = 10000;
+
+    // Lists longer than this only render the rows near the visible part of their column,
+    // at a fixed row height (including the gap between rows), plus a few rows either side
+    const VIRTUAL_LIST_THRESHOLD = 200;
+    const ZONE_ROW_HEIGHT = 96;
+    const VIRTUAL_LIST_OVERSCAN = 10;
+
+    // Pause in typing before a column's search is applied
+    const SEARCH_DEBOUNCE_MS = 300;
+
+    // Polygon sides used to approximate a center and radius zone
+    const ZONE_CIRCLE_SIDES = 32;
+
+    // Default look-back of the usage analytics view
+    const USAGE_DEFAULT_DAYS = 30;
+
+    // Grid size for grouping yard moves that happened outside every zone
+    const USAGE_CANDIDATE_GRID_M = 100;
+
+    // Yard discovery: default look-back, grid cell that neighbouring events cluster through, what
+    // counts as a low-speed move and as parking overnight (a stop lasting past the night hour, or a
+    // standstill logged before the night ends), how busy a place must be to be suggested, and the
+    // most log records and trips read in one run, shared evenly between the vehicles
+    const DISCOVERY_DEFAULT_DAYS = 14;
+    const DISCOVERY_CELL_M = 75;
+    const DISCOVERY_LOW_SPEED_KMH = 15;
+    const DISCOVERY_MOVE_MAX_KM = 1;
+    const DISCOVERY_NIGHT_HOUR = 2;
+    const DISCOVERY_NIGHT_END_HOUR = 5;
+    const DISCOVERY_MOVE_WINDOW_MS = 10 * 60 * 1000;
+    const DISCOVERY_MIN_OVERNIGHTS = 3;
+    const DISCOVERY_MIN_MOVES = 10;
+    const DISCOVERY_LOG_LIMIT = 50000;
+    const DISCOVERY_TRIP_LIMIT = 50000;
+
+    // Margin and smallest radius of the circle suggested around a cluster no zone covers
+    const DISCOVERY_ZONE_MARGIN_M = 40;
+    const DISCOVERY_MIN_RADIUS_M = 50;
+
+    // Mean earth radius in meters, used by the geometry helpers
+    const EARTH_RADIUS_M = 6371008.8;
+
+    // Designations ending within this many days are listed under "Expiring soon"
+    const EXPIRING_SOON_DAYS = 7;
+
+    // Minimum margin around a previewed zone, so small yards still show their neighbours
+    const PREVIEW_MIN_MARGIN_M = 150;
+    const PREVIEW_WIDTH = 480;
+    const PREVIEW_HEIGHT = 320;
+
     /**
      * Make a Geotab API call
      */
@@ -34,6 +256,203 @@ geotab.addin.yardMoveZones = function () {
         });
     }
 
+    /**
+     * Make several Geotab API calls in one ExecuteMultiCall request.
+     * calls is a list of [method, typeName, parameters]; results come back in the same order.
+     */
+    async function makeGeotabMultiCall(calls) {
+        if (!api) {
+            throw new Error('Geotab API not initialized');
+        }
+
+        return new Promise((resolve, reject) => {
+            const multiCalls = calls.map(([method, typeName, parameters = {}]) => [
+                method,
+                { typeName: typeName, ...parameters }
+            ]);
+
+            api.multiCall(multiCalls, resolve, reject);
+        });
+    }
+
+    /**
+     * Get the current MyGeotab session (database, userName, ...)
+     */
+    function getSession() {
+        if (!api) {
+            return Promise.reject(new Error('Geotab API not initialized'));
+        }
+
+        return new Promise(resolve => api.getSession(resolve));
+    }
+
+    /**
+     * Translate a message into the user's language. Messages are keyed by their English text,
+     * like MyGeotab's own add-in translations, and {name} placeholders are filled from params.
+     */
+    function t(text, params = {}) {
+        const translated = typeof translations[text] === 'string' ? translations[text] : text;
+        return formatMessage(translated, params);
+    }
+
+    /**
+     * Translate a counted message, picking the plural form the user's language needs for count.
+     * Tables key plural messages by the English plural, with a form per plural category.
+     */
+    function tn(count, one, other, params = {}) {
+        const entry = translations[other];
+        const forms = entry && typeof entry === 'object' ? entry : { one: one, other: other };
+        const category = new Intl.PluralRules(language).select(count);
+        return formatMessage(forms[category] || forms.other, { count: formatNumber(count), ...params });
+    }
+
+    /**
+     * Fill {name} placeholders of a message
+     */
+    function formatMessage(text, params) {
+        return text.replace(/\{(\w+)\}/g, (match, name) => params[name] !== undefined ? params[name] : match);
+    }
+
+    /**
+     * Format a number with the user's language's separators, optionally to a fixed number of decimals
+     */
+    function formatNumber(value, fractionDigits) {
+        return Number(value).toLocaleString(language, fractionDigits === undefined ? {} : {
+            minimumFractionDigits: fractionDigits,
+            maximumFractionDigits: fractionDigits
+        });
+    }
+
+    /**
+     * Pick the user's MyGeotab language and load its bundled string table.
+     * Unsupported languages and failed loads fall back to English.
+     */
+    async function loadTranslations() {
+        try {
+            let userLanguage = state && state.language;
+            if (!userLanguage) {
+                const session = await getSession();
+                const users = await makeGeotabCall("Get", "User", { search: { name: session.userName } });
+                userLanguage = users.length > 0 ? users[0].language : null;
+            }
+
+            const code = String(userLanguage || 'en').toLowerCase().split(/[-_]/)[0];
+            language = SUPPORTED_LANGUAGES.includes(code) ? code : 'en';
+            if (language !== 'en') {
+                const response = await fetch(`${YARD_MOVE_ZONES_BASE_URL}translations/${language}.json`);
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                translations = await response.json();
+            }
+        } catch (error) {
+            console.warn('Using English, translations could not be loaded:', error.message || error);
+            language = 'en';
+            translations = {};
+        }
+        document.documentElement.lang = language;
+    }
+
+    /**
+     * Translate the static text of the page: text nodes, and the placeholder, title and
+     * aria-label attributes whose English text has a translation
+     */
+    function translateElement(root) {
+        if (!root || language === 'en') return;
+
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+        const textNodes = [];
+        while (walker.nextNode()) {
+            if (!['SCRIPT', 'STYLE'].includes(walker.currentNode.parentNode.nodeName)) {
+                textNodes.push(walker.currentNode);
+            }
+        }
+        textNodes.forEach(node => {
+            const text = node.nodeValue.trim();
+            if (text && typeof translations[text] === 'string') {
+                node.nodeValue = node.nodeValue.replace(text, translations[text]);
+            }
+        });
+
+        root.querySelectorAll('[placeholder], [title], [aria-label]').forEach(el => {
+            ['placeholder', 'title', 'aria-label'].forEach(attribute => {
+                const text = el.getAttribute(attribute);
+                if (text && typeof translations[text] === 'string') {
+                    el.setAttribute(attribute, translations[text]);
+                }
+            });
+        });
+    }
+
+    /**
+     * Sign in to Firebase anonymously unless a user is already signed in
+     */
+    function ensureFirebaseAuth() {
+        return new Promise((resolve, reject) => {
+            const unsubscribe = firebase.auth().onAuthStateChanged(user => {
+                unsubscribe();
+                if (user) {
+                    resolve(user);
+                } else {
+                    firebase.auth().signInAnonymously()
+                        .then(resolve)
+                        .catch(reject);
+                }
+            });
+        });
+    }
+
+    /**
+     * Get a database's document in geotab_databases, adding it if it doesn't exist.
+     * Lookups are shared, so callers starting at the same time don't add the document twice.
+     */
+    function getDatabaseDoc(databaseName) {
+        if (!databaseDocRequests.has(databaseName)) {
+            const request = findOrAddDatabaseDoc(databaseName);
+            databaseDocRequests.set(databaseName, request);
+            request.catch(() => databaseDocRequests.delete(databaseName));
+        }
+        return databaseDocRequests.get(databaseName);
+    }
+
+    /**
+     * Look up a database's document in geotab_databases, adding it if it doesn't exist
+     */
+    async function findOrAddDatabaseDoc(databaseName) {
+        const databases = window.db.collection('geotab_databases');
+        const querySnapshot = await databases
+            .where('database_name', '==', databaseName)
+            .get();
+        
+        if (!querySnapshot.empty) {
+            return querySnapshot.docs[0].ref;
+        }
+        
+        const docRef = await databases.add({
+            database_name: databaseName,
+            added_at: firebase.firestore.FieldValue.serverTimestamp(),
+            active: true
+        });
+        console.log(`Added database ${databaseName} to Firestore`);
+        return docRef;
+    }
+
+    /**
+     * Get the current database's Firestore document for storing add-in data
+     */
+    async function getCurrentDatabaseDoc() {
+        if (!window.db) {
+            throw new Error(t('Firestore is not available'));
+        }
+        
+        await ensureFirebaseAuth();
+        const session = await getSession();
+        if (!session.database || session.database === 'demo') {
+            throw new Error(t('Saving is not available for the demo database'));
+        }
+        return getDatabaseDoc(session.database);
+    }
+
     /**
      * Add current database to Firestore if it doesn't exist
      */
@@ -43,40 +462,216 @@ geotab.addin.yardMoveZones = function () {
         }
 
         try {
-            await new Promise((resolve, reject) => {
-                firebase.auth().onAuthStateChanged(user => {
-                    if (user) {
-                        resolve(user);
-                    } else {
-                        firebase.auth().signInAnonymously()
-                            .then(resolve)
-                            .catch(reject);
-                    }
+            await ensureFirebaseAuth();
+
+            const session = await getSession();
+            const databaseName = session.database;
+            
+            if (databaseName && databaseName !== 'demo') {
+                await getDatabaseDoc(databaseName);
+            }
+        } catch (error) {
+            console.error('Error ensuring database in Firestore:', error);
+        }
+    }
+
+    /**
+     * Build the published record of a Yard Move Zone for the downstream annotator
+     */
+    function toPublishedZone(zone) {
+        const points = (zone.points || []).map(p => ({ x: p.x, y: p.y }));
+        const box = points.length > 0 ? getBoundingBox(points) : null;
+        return {
+            id: zone.id,
+            name: zone.name || '',
+            version: zone.version || null,
+            polygon: points,
+            bounding_box: box
+                ? { min_x: box.minX, min_y: box.minY, max_x: box.maxX, max_y: box.maxY }
+                : null
+        };
+    }
+
+    /**
+     * Write and delete published zone documents in batches under Firestore's write limit
+     */
+    async function commitPublishedZones(collection, upserts, deleteIds) {
+        const writes = [
+            ...upserts.map(record => batch => batch.set(collection.doc(record.id), {
+                ...record,
+                updated_at: firebase.firestore.FieldValue.serverTimestamp()
+            })),
+            ...deleteIds.map(id => batch => batch.delete(collection.doc(id)))
+        ];
+
+        for (let i = 0; i < writes.length; i += FIRESTORE_BATCH_SIZE) {
+            const batch = window.db.batch();
+            writes.slice(i, i + FIRESTORE_BATCH_SIZE).forEach(write => write(batch));
+            await batch.commit();
+        }
+    }
+
+    /**
+     * Queue a publish of Yard Move Zones to the database's yard_move_zones subcollection.
+     * Publishes run one at a time; failures are logged, since the board works without them.
+     */
+    function queueYardMovePublish(publish) {
+        publishQueue = publishQueue
+            .then(publish)
+            .catch(error => console.warn('Could not publish Yard Move Zones to Firestore:', error.message));
+        return publishQueue;
+    }
+
+    /**
+     * Publish the Yard Move Zones among every zone the user can see. Only documents whose zone
+     * changed are written. Documents of zones that are no longer Yard Move Zones are deleted, and
+     * the count updated, only for editors whose data access covers the whole database: for anyone
+     * else, zones they can't see look the same as zones that were taken out.
+     */
+    function publishAllYardMoveZones(allZones) {
+        const typeId = yardMoveTypeId;
+        const complete = permissions.manageZones && permissions.wholeDatabase;
+        const records = allZones
+            .filter(zone => (zone.zoneTypes || []).some(zt => zt.id === typeId))
+            .map(toPublishedZone);
+        publishedYardMoveIds = complete ? new Set(records.map(record => record.id)) : null;
+
+        return queueYardMovePublish(async () => {
+            const databaseDoc = await getCurrentDatabaseDoc();
+            const collection = databaseDoc.collection('yard_move_zones');
+            const snapshot = await collection.get();
+
+            const publishedVersions = new Map(snapshot.docs.map(doc => [doc.id, doc.data().version]));
+            const wanted = new Set(records.map(record => record.id));
+            const upserts = records.filter(record =>
+                !publishedVersions.has(record.id) || publishedVersions.get(record.id) !== record.version
+            );
+            const deleteIds = complete ? [...publishedVersions.keys()].filter(id => !wanted.has(id)) : [];
+
+            await commitPublishedZones(collection, upserts, deleteIds);
+            if (complete) {
+                await databaseDoc.update({
+                    yard_move_type_id: typeId,
+                    yard_move_zone_count: records.length,
+                    yard_move_zones_synced_at: firebase.firestore.FieldValue.serverTimestamp()
                 });
-            });
+            }
+            console.log(`Published ${records.length} Yard Move Zones (${upserts.length} written, ${deleteIds.length} removed)`);
+        });
+    }
 
-            api.getSession(async function(session) {
-                const databaseName = session.database;
-                
-                if (databaseName && databaseName !== 'demo') {
-                    const querySnapshot = await window.db.collection('geotab_databases')
-                        .where('database_name', '==', databaseName)
-                        .get();
-                    
-                    if (querySnapshot.empty) {
-                        await window.db.collection('geotab_databases').add({
-                            database_name: databaseName,
-                            added_at: firebase.firestore.FieldValue.serverTimestamp(),
-                            active: true
-                        });
-                        console.log(`Added database ${databaseName} to Firestore`);
-                    } else {
-                        console.log(`Database ${databaseName} already exists in Firestore`);
-                    }
-                }
+    /**
+     * Publish changes to individual zones: Yard Move Zones are written, other zones removed.
+     * The database-wide count is only kept up to date after a complete publish.
+     */
+    function publishZoneChanges(zones) {
+        if (zones.length === 0) {
+            return publishQueue;
+        }
+
+        const typeId = yardMoveTypeId;
+        const isYardMove = zone => (zone.zoneTypes || []).some(zt => zt.id === typeId);
+        const upserts = zones.filter(isYardMove).map(toPublishedZone);
+        const deleteIds = zones.filter(zone => !isYardMove(zone)).map(zone => zone.id);
+
+        return queueYardMovePublish(async () => {
+            const databaseDoc = await getCurrentDatabaseDoc();
+            await commitPublishedZones(databaseDoc.collection('yard_move_zones'), upserts, deleteIds);
+            if (publishedYardMoveIds) {
+                upserts.forEach(record => publishedYardMoveIds.add(record.id));
+                deleteIds.forEach(id => publishedYardMoveIds.delete(id));
+                await databaseDoc.update({
+                    yard_move_type_id: typeId,
+                    yard_move_zone_count: publishedYardMoveIds.size,
+                    yard_move_zones_synced_at: firebase.firestore.FieldValue.serverTimestamp()
+                });
+            }
+        });
+    }
+
+    /**
+     * Work out what the current user may change from their security clearance. If the
+     * clearance can't be read, editing stays available and MyGeotab enforces the rights.
+     */
+    async function checkPermissions() {
+        try {
+            const session = await getSession();
+            const [users, clearances] = await makeGeotabMultiCall([
+                ["Get", "User", { search: { name: session.userName } }],
+                ["Get", "Group", { search: { id: "GroupSecurityId" } }]
+            ]);
+            const clearanceId = users.length > 0 && (users[0].securityGroups || []).length > 0
+                ? users[0].securityGroups[0].id
+                : null;
+            if (!clearanceId) {
+                throw new Error(`No security clearance found for ${session.userName}`);
+            }
+
+            const clearancesById = new Map(clearances.map(clearance => [clearance.id, clearance]));
+            const parentById = new Map();
+            clearances.forEach(clearance => {
+                (clearance.children || []).forEach(child => parentById.set(child.id, clearance.id));
             });
+
+            permissions = {
+                manageZones: isClearanceAllowed(clearanceId, MANAGE_ZONES_IDENTIFIER, clearancesById, parentById),
+                manageZoneTypes: isClearanceAllowed(clearanceId, MANAGE_ZONE_TYPES_IDENTIFIER, clearancesById, parentById),
+                wholeDatabase: (users[0].companyGroups || []).some(group => group.id === 'GroupCompanyId')
+            };
         } catch (error) {
-            console.error('Error ensuring database in Firestore:', error);
+            console.warn('Could not check security clearance:', error.message || error);
+            // Without knowing the data access, nothing outside what the user sees may be deleted
+            permissions = { manageZones: true, manageZoneTypes: true, wholeDatabase: false };
+        }
+        renderPermissions();
+    }
+
+    /**
+     * Check an identifier against a clearance: the nearest filter for it wins, walking up
+     * to the built-in clearance the custom ones derive from
+     */
+    function isClearanceAllowed(clearanceId, identifier, clearancesById, parentById) {
+        for (let id = clearanceId; id; id = parentById.get(id)) {
+            if (BUILT_IN_CLEARANCES[id] !== undefined) {
+                return BUILT_IN_CLEARANCES[id];
+            }
+            const clearance = clearancesById.get(id);
+            const filter = ((clearance && clearance.securityFilters) || [])
+                .find(f => f.securityIdentifier === identifier);
+            if (filter) {
+                return filter.isAdd;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Explain why the board is read-only, or return null when the user can make changes
+     */
+    function getReadOnlyReason() {
+        if (!permissions.manageZones) {
+            return t('Your security clearance does not allow managing zones, so the board is read-only.');
+        }
+        if (!yardMoveTypeId && !permissions.manageZoneTypes && zoneTypesLoaded) {
+            return t('The "Yard Move Zones" zone type does not exist yet and your security clearance does not allow creating zone types. Ask an administrator to open this add-in once.');
+        }
+        return null;
+    }
+
+    /**
+     * Show or hide the editing controls to match the user's rights
+     */
+    function renderPermissions() {
+        if (!elAddin) return;
+
+        const reason = getReadOnlyReason();
+        elAddin.classList.toggle('read-only', !!reason);
+        elAddin.classList.toggle('no-zone-type-edit', !permissions.manageZoneTypes);
+
+        const noticeEl = document.getElementById('readOnlyNotice');
+        if (noticeEl) {
+            noticeEl.style.display = reason ? 'block' : 'none';
+            document.getElementById('readOnlyReason').textContent = reason || '';
         }
     }
 
@@ -85,18 +680,25 @@ geotab.addin.yardMoveZones = function () {
      */
     async function loadZones() {
         if (!api) {
-            showAlert('Geotab API not initialized. Please refresh the page.', 'danger');
+            showAlert(t('Geotab API not initialized. Please refresh the page.'), 'danger');
             return;
         }
         
         try {
-            showAlert('Loading zones and checking zone types...', 'info');
+            showAlert(t('Loading zones and checking zone types...'), 'info');
             
             // First, update the .env file with current database info
             //await updateEnvFile();
             
-            // Get zone types first
-            const zoneTypes = await makeGeotabCall("Get", "ZoneType");
+            const session = await getSession();
+            databaseName = session.database || null;
+            loadMoveQueue();
+            
+            // Get zone types first, through their feed so live sync can carry on from its version
+            const zoneTypeFeed = await fetchWholeFeed("ZoneType", () => {});
+            const zoneTypes = zoneTypeFeed.entities;
+            zoneTypesById = new Map(zoneTypes.map(zoneType => [zoneType.id, zoneType]));
+            zoneTypesLoaded = true;
             
             // Check if "Yard Move Zones" type exists
             yardMoveTypeId = null;
@@ -107,9 +709,13 @@ geotab.addin.yardMoveZones = function () {
                 }
             }
             
+            // Only users allowed to manage zone types can create it; everyone else gets a
+            // read-only board until someone who can has opened the add-in
+            await permissionCheck;
+            
             // If "Yard Move Zones" type doesn't exist, create it
-            if (!yardMoveTypeId) {
-                showAlert('Creating "Yard Move Zones" zone type...', 'info');
+            if (!yardMoveTypeId && permissions.manageZoneTypes) {
+                showAlert(t('Creating "Yard Move Zones" zone type...'), 'info');
                 try {
                     const newZoneType = {
                         name: "Yard Move Zones",
@@ -119,16 +725,45 @@ geotab.addin.yardMoveZones = function () {
                     
                     const result = await makeGeotabCall("Add", "ZoneType", { entity: newZoneType });
                     yardMoveTypeId = result;
-                    showAlert('Successfully created "Yard Move Zones" zone type', 'success');
+                    zoneTypesById.set(result, { ...newZoneType, id: result });
+                    showAlert(t('Successfully created "Yard Move Zones" zone type'), 'success');
                 } catch (error) {
                     console.error('Error creating zone type:', error);
-                    showAlert('Error creating "Yard Move Zones" zone type: ' + error.message, 'danger');
+                    showAlert(t('Error creating "Yard Move Zones" zone type: {message}', { message: error.message }), 'danger');
                     return;
                 }
             }
             
-            // Now get all zones
-            const zones = await makeGeotabCall("Get", "Zone");
+            renderPermissions();
+            
+            // The policy and designation periods live in Firestore, so fetch them alongside the zones
+            const geometryPolicyLoad = loadGeometryPolicy();
+            const designationsLoad = loadDesignations();
+            
+            // Group names are only needed for badges, so carry on without them if they can't be read
+            try {
+                const groups = await makeGeotabCall("Get", "Group");
+                groupsById = new Map(groups.map(group => [group.id, group]));
+            } catch (error) {
+                console.warn('Could not load groups:', error);
+                groupsById = new Map();
+            }
+            
+            // Now page through every zone, keeping those in the active MyGeotab group filter
+            const groupFilter = getActiveGroupFilter();
+            const generation = ++zoneLoadGeneration;
+            renderLoadingProgress(0);
+            const feed = await fetchWholeFeed("Zone", renderLoadingProgress);
+            const filterGroupIds = getFilterGroupIds(groupFilter);
+            const zones = feed.entities.filter(zone => isInGroupFilter(zone, filterGroupIds));
+            if (generation === zoneLoadGeneration) {
+                zoneFeedVersion = feed.toVersion;
+                zoneTypeFeedVersion = zoneTypeFeed.toVersion;
+                deletionCheckedAt = Date.now();
+                
+                // The published set covers every zone the user can see, whatever the group filter shows
+                publishAllYardMoveZones(feed.entities);
+            }
             
             // Categorize zones
             regularZones = [];
@@ -136,14 +771,7 @@ geotab.addin.yardMoveZones = function () {
             
             for (const zone of zones) {
                 const zoneHasYardMoveType = zone.zoneTypes && zone.zoneTypes.some(zt => zt.id === yardMoveTypeId);
-                
-                const zoneData = {
-                    id: zone.id,
-                    name: zone.name || 'Unnamed Zone',
-                    zoneTypes: zone.zoneTypes || [],
-                    points: zone.points || [],
-                    version: zone.version
-                };
+                const zoneData = toZoneData(zone);
                 
                 if (zoneHasYardMoveType) {
                     yardMoveZones.push(zoneData);
@@ -152,375 +780,5518 @@ geotab.addin.yardMoveZones = function () {
                 }
             }
             
-            // Initialize filtered arrays
-            filteredRegularZones = [...regularZones];
-            filteredYardMoveZones = [...yardMoveZones];
+            await Promise.all([geometryPolicyLoad, designationsLoad]);
+            auditYardMoveZones();
+            
+            yardMoveTypeCandidates = findYardMoveTypeCandidates(feed.entities);
+            orphanedZoneTypes = findOrphanedZoneTypes(feed.entities);
+            renderZoneTypeHealth();
+            
+            // Extra columns the user picked for this database, skipping types that were deleted since
+            managedTypeIds = loadManagedTypeIds().filter(id => zoneTypesById.has(id) && id !== yardMoveTypeId);
+            renderTypeColumns();
+            
+            pruneSelections();
+            
+            // Initialize filtered arrays, keeping any search the user already typed
+            renderGroupFilterLabel(groupFilter);
+            renderGroupFacets();
+            refreshFilteredZones();
             
             renderZones();
-            showAlert(`Loaded ${regularZones.length + yardMoveZones.length} zones successfully`, 'success');
+            showAlert(tn(regularZones.length + yardMoveZones.length, 'Loaded {count} zone successfully', 'Loaded {count} zones successfully'), 'success');
+            
+            await applyDesignations(new Set(feed.entities.map(zone => zone.id)));
+            scheduleMoveQueue();
             
         } catch (error) {
             console.error('Error loading zones:', error);
-            showAlert('Error loading zones: ' + error.message, 'danger');
-            showEmptyState('regularZonesList');
-            showEmptyState('yardMoveZonesList');
+            showAlert(t('Error loading zones: {message}', { message: error.message }), 'danger');
+            showEmptyState('regularZonesList', 'regular');
+            showEmptyState('yardMoveZonesList', 'yardmove');
+        } finally {
+            // The bar is shared with moves, which manage it themselves
+            if (!bulkMoveInProgress) {
+                updateBulkProgress(0, null);
+            }
         }
     }
 
     /**
-     * Add Yard Move Zones type to a zone
+     * Fetch every zone or zone type in pages through its feed, reporting the running count.
+     * An entity changed while paging comes back again, so the latest copy of each id wins.
+     * Resolves with the entities and the feed version to poll for later changes from.
      */
-    async function addYardMoveType(zoneId) {
-        if (!api || !yardMoveTypeId) {
-            throw new Error('API not initialized or Yard Move type not found');
-        }
-        
-        // Get the current zone data
-        const zones = await makeGeotabCall("Get", "Zone", { search: { id: zoneId } });
-        if (!zones || zones.length === 0) {
-            throw new Error('Zone not found');
-        }
-        
-        const zone = zones[0];
+    async function fetchWholeFeed(typeName, onProgress) {
+        const entitiesById = new Map();
+        let fromVersion = null;
         
-        // Check if the zone already has the yard move type
-        const existingZoneTypes = zone.zoneTypes || [];
-        const hasYardMoveType = existingZoneTypes.some(zt => zt.id === yardMoveTypeId);
-        
-        if (hasYardMoveType) {
-            throw new Error('Zone already has Yard Move Zones type');
+        for (;;) {
+            const feed = await makeGeotabCall("GetFeed", typeName, {
+                fromVersion: fromVersion,
+                resultsLimit: ZONE_PAGE_SIZE
+            });
+            feed.data.forEach(entity => entitiesById.set(entity.id, entity));
+            fromVersion = feed.toVersion;
+            onProgress(entitiesById.size);
+            
+            if (feed.data.length < ZONE_PAGE_SIZE) {
+                return { entities: [...entitiesById.values()], toVersion: fromVersion };
+            }
         }
-        
-        // Add the yard move type to the zone
-        const updatedZoneTypes = [...existingZoneTypes, { id: yardMoveTypeId }];
-        
-        // Prepare the updated zone entity
-        const updatedZone = {
-            id: zone.id,
-            name: zone.name,
-            zoneTypes: updatedZoneTypes,
-            points: zone.points || [],
-            version: zone.version
-        };
-        
-        // Update the zone using Set method
-        const result = await makeGeotabCall("Set", "Zone", { entity: updatedZone });
-        return result;
     }
 
     /**
-     * Remove Yard Move Zones type from a zone
+     * Get the ids of the group filter's groups and everything below them, or null for no filter
      */
-    async function removeYardMoveType(zoneId) {
-        if (!api || !yardMoveTypeId) {
-            throw new Error('API not initialized or Yard Move type not found');
-        }
-        
-        // Get the current zone data
-        const zones = await makeGeotabCall("Get", "Zone", { search: { id: zoneId } });
-        if (!zones || zones.length === 0) {
-            throw new Error('Zone not found');
-        }
-        
-        const zone = zones[0];
-        
-        // Remove the yard move type from the zone
-        const existingZoneTypes = zone.zoneTypes || [];
-        const updatedZoneTypes = existingZoneTypes.filter(zt => zt.id !== yardMoveTypeId);
-        
-        // Prepare the updated zone entity
-        const updatedZone = {
+    function getFilterGroupIds(groupFilter) {
+        return groupFilter
+            ? new Set(groupFilter.flatMap(group => [...getGroupAndDescendantIds(group.id)]))
+            : null;
+    }
+
+    /**
+     * Check whether a zone belongs to one of the group filter's groups
+     */
+    function isInGroupFilter(zone, filterGroupIds) {
+        return !filterGroupIds || (zone.groups || []).some(g => filterGroupIds.has(g.id));
+    }
+
+    /**
+     * Keep only selections of zones that are still in their column
+     */
+    function pruneSelections() {
+        const previousSelection = selectedZoneIds;
+        selectedZoneIds = {};
+        lastSelectedIndex = {};
+        getColumnKeys().forEach(key => {
+            const previous = previousSelection[key] || new Set();
+            selectedZoneIds[key] = new Set(getColumnZones(key).filter(z => previous.has(z.id)).map(z => z.id));
+            lastSelectedIndex[key] = null;
+        });
+    }
+
+    /**
+     * Show the running count of loaded zones in the fixed columns
+     */
+    function renderLoadingProgress(count) {
+        updateBulkProgress(count, 0, t('Loading zones: {count} loaded...', { count: formatNumber(count) }));
+        ['regularZonesList', 'yardMoveZonesList'].forEach(containerId => {
+            const container = document.getElementById(containerId);
+            if (!container) return;
+            stopVirtualList(containerId);
+            container.innerHTML = `
+                <div class="loading-spinner flex-column">
+                    <div class="spinner-border text-primary" role="status">
+                        <span class="visually-hidden">${t('Loading...')}</span>
+                    </div>
+                    <small class="text-muted mt-2">${tn(count, '{count} zone loaded...', '{count} zones loaded...')}</small>
+                </div>
+            `;
+        });
+    }
+
+    /**
+     * Keep the zone properties the board works with
+     */
+    function toZoneData(zone) {
+        return {
             id: zone.id,
-            name: zone.name,
-            zoneTypes: updatedZoneTypes,
+            name: zone.name || t('Unnamed Zone'),
+            externalReference: zone.externalReference || '',
+            comment: zone.comment || '',
+            groups: zone.groups || [],
+            zoneTypes: zone.zoneTypes || [],
             points: zone.points || [],
             version: zone.version
         };
-        
-        // Update the zone using Set method
-        const result = await makeGeotabCall("Set", "Zone", { entity: updatedZone });
-        return result;
     }
 
     /**
-     * Open the create zone page in Geotab
+     * Check whether a zone from the feed differs from the local copy in anything the board shows
+     */
+    function zoneContentChanged(local, incoming) {
+        const ids = list => (list || []).map(item => item.id).sort().join(',');
+        return local.name !== incoming.name ||
+            local.comment !== incoming.comment ||
+            local.externalReference !== incoming.externalReference ||
+            ids(local.zoneTypes) !== ids(incoming.zoneTypes) ||
+            ids(local.groups) !== ids(incoming.groups) ||
+            JSON.stringify(local.points) !== JSON.stringify(incoming.points);
+    }
+
+    /**
+     * Merge zones from the feed into the local lists in place. Our own saves come back through
+     * the feed as well; they match the local copy, so only their version is taken.
+     * Returns the ids of zones that someone else changed.
+     */
+    function mergeFeedZones(feedZones) {
+        const filterGroupIds = getFilterGroupIds(getActiveGroupFilter());
+        const changedIds = [];
+
+        feedZones.forEach(feedZone => {
+            const incoming = toZoneData(feedZone);
+            const local = findZone(incoming.id);
+
+            if (!isInGroupFilter(incoming, filterGroupIds)) {
+                // Moved out of the group filter elsewhere
+                if (local) {
+                    [regularZones, yardMoveZones].forEach(list => {
+                        const index = list.indexOf(local);
+                        if (index !== -1) list.splice(index, 1);
+                    });
+                    changedIds.push(incoming.id);
+                }
+                return;
+            }
+
+            if (!local) {
+                (hasZoneType(incoming, yardMoveTypeId) ? yardMoveZones : regularZones).push(incoming);
+                changedIds.push(incoming.id);
+                return;
+            }
+
+            const changed = zoneContentChanged(local, incoming);
+            Object.assign(local, incoming);
+            if (changed) {
+                applySavedZone(local);
+                changedIds.push(incoming.id);
+            }
+        });
+
+        return changedIds;
+    }
+
+    /**
+     * Drop zones that were deleted in another session from the board. The feed doesn't report
+     * deletions, so the board's zones are looked up again by id; one no longer found was deleted
+     * or moved out of the user's data access. Resolves with the ids dropped.
+     */
+    async function removeDeletedZones() {
+        const generation = zoneLoadGeneration;
+        const zoneIds = [...regularZones, ...yardMoveZones].map(zone => zone.id);
+        const found = await fetchZonesById(zoneIds);
+        if (generation !== zoneLoadGeneration) return [];
+
+        const deletedIds = new Set(zoneIds.filter(id => !found.has(id)));
+        if (deletedIds.size > 0) {
+            regularZones = regularZones.filter(zone => !deletedIds.has(zone.id));
+            yardMoveZones = yardMoveZones.filter(zone => !deletedIds.has(zone.id));
+        }
+        return [...deletedIds];
+    }
+
+    /**
+     * Fetch zone and zone type changes since the last load or poll and merge them into the board.
+     * Deleted zones don't come through the feed, so every few minutes the board is also checked
+     * for them.
+     */
+    async function pollZoneFeed() {
+        const generation = zoneLoadGeneration;
+
+        const [zoneFeed, zoneTypeFeed] = await makeGeotabMultiCall([
+            ["GetFeed", "Zone", { fromVersion: zoneFeedVersion, resultsLimit: ZONE_PAGE_SIZE }],
+            ["GetFeed", "ZoneType", { fromVersion: zoneTypeFeedVersion, resultsLimit: ZONE_PAGE_SIZE }]
+        ]);
+
+        // A full reload started meanwhile has newer data than this poll
+        if (generation !== zoneLoadGeneration) return;
+
+        zoneFeedVersion = zoneFeed.toVersion;
+        zoneTypeFeedVersion = zoneTypeFeed.toVersion;
+
+        let typesChanged = false;
+        zoneTypeFeed.data.forEach(zoneType => {
+            const known = zoneTypesById.get(zoneType.id);
+            typesChanged = typesChanged || !known || known.name !== zoneType.name;
+            zoneTypesById.set(zoneType.id, zoneType);
+        });
+
+        const changedIds = mergeFeedZones(zoneFeed.data);
+        publishZoneChanges(zoneFeed.data);
+
+        let deletedIds = [];
+        if (Date.now() - deletionCheckedAt >= DELETION_CHECK_INTERVAL_MS) {
+            deletionCheckedAt = Date.now();
+            deletedIds = await removeDeletedZones();
+        }
+
+        if (changedIds.length === 0 && deletedIds.length === 0 && !typesChanged) {
+            // Let earlier highlights fade once they have expired
+            const highlighted = [...remoteChangedZones.keys()];
+            if (highlighted.length > 0 && draggedZoneIds.size === 0 && !highlighted.some(isRemotelyChanged)) {
+                renderZones();
+            }
+            return;
+        }
+
+        const now = Date.now();
+        changedIds.forEach(id => remoteChangedZones.set(id, now));
+
+        const draggedChanges = changedIds.filter(id => draggedZoneIds.has(id));
+        if (draggedChanges.length > 0) {
+            showAlert(t('{zones} changed in another session while you were dragging it. The move will apply to the latest version.', {
+                zones: draggedChanges.map(id => `"${getZoneName(id)}"`).join(', ')
+            }), 'warning');
+        }
+
+        // Replacing rows under the pointer would cancel a drag, so wait for it to end
+        if (draggedZoneIds.size > 0) {
+            feedRenderPending = true;
+        } else {
+            renderFeedChanges();
+        }
+    }
+
+    /**
+     * Re-render the board after merging remote changes
+     */
+    function renderFeedChanges() {
+        feedRenderPending = false;
+        pruneSelections();
+        auditYardMoveZones();
+        refreshFilteredZones();
+        renderZones();
+    }
+
+    /**
+     * Check whether a zone was changed remotely recently enough to be highlighted
+     */
+    function isRemotelyChanged(zoneId) {
+        const changedAt = remoteChangedZones.get(zoneId);
+        if (changedAt === undefined) return false;
+        if (Date.now() - changedAt > REMOTE_HIGHLIGHT_MS) {
+            remoteChangedZones.delete(zoneId);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Poll the zone feed while the add-in is focused. Polls are chained, so a slow response
+     * never overlaps the next one, and skipped while a move is saving. A loop stopped while its
+     * poll is in flight ends there, even if a new one has started since.
+     */
+    function startLiveSync() {
+        stopLiveSync();
+        const generation = liveSyncGeneration;
+
+        const schedule = () => {
+            liveSyncTimer = setTimeout(async () => {
+                if (zoneFeedVersion && !bulkMoveInProgress) {
+                    try {
+                        await pollZoneFeed();
+                    } catch (error) {
+                        console.warn('Live sync poll failed:', error);
+                    }
+                }
+                if (generation === liveSyncGeneration) {
+                    schedule();
+                }
+            }, FEED_POLL_INTERVAL_MS);
+        };
+        schedule();
+    }
+
+    /**
+     * Stop polling the zone feed
+     */
+    function stopLiveSync() {
+        clearTimeout(liveSyncTimer);
+        liveSyncTimer = null;
+        liveSyncGeneration++;
+    }
+
+    /**
+     * Check whether a failed Set was rejected because the entity version is stale
+     */
+    function isVersionConflict(error) {
+        if (!error) return false;
+        const text = `${error.name || ''} ${error.message || error}`;
+        return /version|concurrency|modified by another|out of date|stale/i.test(text);
+    }
+
+    /**
+     * Fetch the current server copy of a single zone
+     */
+    async function getZone(zoneId) {
+        const zones = await makeGeotabCall("Get", "Zone", { search: { id: zoneId } });
+        if (!zones || zones.length === 0) {
+            throw new Error(t('Zone not found'));
+        }
+        return zones[0];
+    }
+
+    /**
+     * Fetch the current server copies of many zones in ExecuteMultiCall batches. Resolves with
+     * the zones found, by id; deleted zones and zones outside the user's data access are left out.
+     */
+    async function fetchZonesById(zoneIds) {
+        const zonesById = new Map();
+        for (let i = 0; i < zoneIds.length; i += MULTICALL_BATCH_SIZE) {
+            const batch = zoneIds.slice(i, i + MULTICALL_BATCH_SIZE);
+            const found = await makeGeotabMultiCall(batch.map(id => ["Get", "Zone", { search: { id: id } }]));
+            found.forEach(zones => {
+                if (zones && zones[0]) {
+                    zonesById.set(zones[0].id, zones[0]);
+                }
+            });
+        }
+        return zonesById;
+    }
+
+    /**
+     * Save changes to a zone, keeping every other property of the fetched entity.
+     * buildUpdate receives the current zone and returns the changed properties, or null when the
+     * zone is already in the wanted state. If someone else saved the zone in between, the zone is
+     * fetched again and the update rebuilt from the fresh copy.
+     * Resolves with the saved zone and the zone as it was just before the save.
+     */
+    async function saveZone(zoneId, buildUpdate) {
+        for (let attempt = 1; ; attempt++) {
+            const zone = await getZone(zoneId);
+            const changes = buildUpdate(zone);
+
+            if (!changes) {
+                return { zone: zone, priorZone: zone };
+            }
+
+            const updatedZone = { ...zone, ...changes };
+
+            try {
+                await makeGeotabCall("Set", "Zone", { entity: updatedZone });
+                return { zone: updatedZone, priorZone: zone };
+            } catch (error) {
+                if (!isVersionConflict(error)) {
+                    throw error;
+                }
+                if (attempt >= MAX_SET_ATTEMPTS) {
+                    throw new Error(t('"{name}" keeps being changed by another user. Refresh the zones and try again.', { name: zone.name }));
+                }
+                console.warn(`Version conflict saving zone ${zoneId}, retrying (${attempt}/${MAX_SET_ATTEMPTS})`);
+            }
+        }
+    }
+
+    /**
+     * Change only the zoneTypes of a zone. transform receives the current zoneTypes and returns
+     * the new list, or null when the zone is already in the wanted state.
+     * Resolves with the saved zone and the zoneTypes it had just before the save.
+     */
+    async function updateZoneTypes(zoneId, transform) {
+        const { zone, priorZone } = await saveZone(zoneId, current => {
+            const updatedZoneTypes = transform(current.zoneTypes || []);
+            return updatedZoneTypes ? { zoneTypes: updatedZoneTypes } : null;
+        });
+        return { zone: zone, priorZoneTypes: priorZone.zoneTypes || [] };
+    }
+
+    /**
+     * Build the zoneTypes transform for a change ({ typeId, add }) to one zone type
+     */
+    function zoneTypeTransform(change) {
+        return zoneTypes => {
+            const hasType = zoneTypes.some(zt => zt.id === change.typeId);
+            if (hasType === change.add) {
+                return null;
+            }
+            return change.add
+                ? [...zoneTypes, { id: change.typeId }]
+                : zoneTypes.filter(zt => zt.id !== change.typeId);
+        };
+    }
+
+    /**
+     * Check whether two zoneTypes lists reference the same types
+     */
+    function sameZoneTypes(a, b) {
+        const ids = list => (list || []).map(zt => zt.id).sort().join(',');
+        return ids(a) === ids(b);
+    }
+
+    /**
+     * Build a move result, flagging whether the zone's types actually changed
+     */
+    function moveResult(zone, priorZoneTypes) {
+        return {
+            zoneId: zone.id,
+            zone: zone,
+            priorZoneTypes: priorZoneTypes,
+            changed: !sameZoneTypes(priorZoneTypes, zone.zoneTypes)
+        };
+    }
+
+    /**
+     * Apply a zoneTypes transform to one zone, capturing the outcome instead of throwing.
+     * knownPriorZoneTypes overrides the recorded prior state when an earlier attempt may have saved already.
+     */
+    async function moveSingleZone(zoneId, transform, knownPriorZoneTypes) {
+        try {
+            const { zone, priorZoneTypes } = await updateZoneTypes(zoneId, transform);
+            return moveResult(zone, knownPriorZoneTypes || priorZoneTypes);
+        } catch (error) {
+            return { zoneId, error };
+        }
+    }
+
+    /**
+     * Apply a zoneTypes transform to a batch of zones with one multicall for the Gets and one for the Sets
+     */
+    async function moveZoneBatch(zoneIds, transform) {
+        let fetched;
+        try {
+            fetched = await makeGeotabMultiCall(zoneIds.map(id => ["Get", "Zone", { search: { id: id } }]));
+        } catch (error) {
+            console.warn('Batched zone Get failed, falling back to single calls:', error);
+            const results = [];
+            for (const zoneId of zoneIds) {
+                results.push(await moveSingleZone(zoneId, transform));
+            }
+            return results;
+        }
+
+        const results = [];
+        const pending = [];
+
+        fetched.forEach((zones, index) => {
+            const zone = zones && zones[0];
+            if (!zone) {
+                results.push({ zoneId: zoneIds[index], error: new Error(t('Zone not found')) });
+                return;
+            }
+
+            const updatedZoneTypes = transform(zone.zoneTypes || []);
+            if (updatedZoneTypes) {
+                pending.push({ zone: { ...zone, zoneTypes: updatedZoneTypes }, priorZoneTypes: zone.zoneTypes || [] });
+            } else {
+                results.push(moveResult(zone, zone.zoneTypes || []));
+            }
+        });
+
+        if (pending.length > 0) {
+            try {
+                await makeGeotabMultiCall(pending.map(p => ["Set", "Zone", { entity: p.zone }]));
+                pending.forEach(p => results.push(moveResult(p.zone, p.priorZoneTypes)));
+            } catch (error) {
+                // A multicall fails as a whole, so save the batch one zone at a time to find out which ones
+                // failed. Zones that were already saved come back as no-ops from the transform.
+                console.warn('Batched zone Set failed, retrying one zone at a time:', error);
+                for (const p of pending) {
+                    const result = await moveSingleZone(p.zone.id, transform, p.priorZoneTypes);
+                    // A failed zone keeps the version it was read at, for queueing it
+                    results.push(result.error ? { ...result, version: p.zone.version } : result);
+                }
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Add or remove one zone type ({ typeId, add }) on many zones, in ExecuteMultiCall batches.
+     * Resolves with one { zoneId, zone, priorZoneTypes, changed } or { zoneId, error } result per zone.
+     */
+    async function moveZones(zoneIds, change, onProgress) {
+        if (!api || !yardMoveTypeId || !change.typeId) {
+            throw new Error('API not initialized or zone type not found');
+        }
+
+        return transformZones(zoneIds, zoneTypeTransform(change), onProgress);
+    }
+
+    /**
+     * Apply a zoneTypes transform to many zones in ExecuteMultiCall batches, reporting progress per batch
+     */
+    async function transformZones(zoneIds, transform, onProgress) {
+        const results = [];
+
+        for (let i = 0; i < zoneIds.length; i += MULTICALL_BATCH_SIZE) {
+            const batchResults = await moveZoneBatch(zoneIds.slice(i, i + MULTICALL_BATCH_SIZE), transform);
+            results.push(...batchResults);
+            if (onProgress) {
+                onProgress(results.length, zoneIds.length);
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Convert degrees to radians
+     */
+    function toRadians(degrees) {
+        return degrees * Math.PI / 180;
+    }
+
+    /**
+     * Project lon/lat points ({x, y}) to local meters around an origin (equirectangular, fine at yard scale)
+     */
+    function projectToMeters(points, origin) {
+        const cosLat = Math.cos(toRadians(origin.y));
+        return points.map(p => ({
+            x: toRadians(p.x - origin.x) * EARTH_RADIUS_M * cosLat,
+            y: toRadians(p.y - origin.y) * EARTH_RADIUS_M
+        }));
+    }
+
+    /**
+     * Get the lon/lat bounding box of a list of points
+     */
+    function getBoundingBox(points) {
+        return points.reduce((box, p) => ({
+            minX: Math.min(box.minX, p.x),
+            minY: Math.min(box.minY, p.y),
+            maxX: Math.max(box.maxX, p.x),
+            maxY: Math.max(box.maxY, p.y)
+        }), { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity });
+    }
+
+    /**
+     * Check whether two bounding boxes overlap
+     */
+    function boundingBoxesIntersect(a, b) {
+        return a.minX <= b.maxX && b.minX <= a.maxX && a.minY <= b.maxY && b.minY <= a.maxY;
+    }
+
+    /**
+     * Get the vertex average of a polygon, close enough to its center for labels and map views
+     */
+    function getCentroid(points) {
+        if (points.length === 0) return null;
+        const sum = points.reduce((acc, p) => ({ x: acc.x + p.x, y: acc.y + p.y }), { x: 0, y: 0 });
+        return { x: sum.x / points.length, y: sum.y / points.length };
+    }
+
+    /**
+     * Get the area of a polygon in square meters
+     */
+    function getPolygonArea(points) {
+        if (points.length < 3) return 0;
+        const projected = projectToMeters(points, getCentroid(points));
+        let twiceArea = 0;
+        for (let i = 0; i < projected.length; i++) {
+            const a = projected[i];
+            const b = projected[(i + 1) % projected.length];
+            twiceArea += a.x * b.y - b.x * a.y;
+        }
+        return Math.abs(twiceArea) / 2;
+    }
+
+    /**
+     * Get the great-circle distance between two lon/lat points in meters
+     */
+    function getDistance(a, b) {
+        const dLat = toRadians(b.y - a.y);
+        const dLon = toRadians(b.x - a.x);
+        const h = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRadians(a.y)) * Math.cos(toRadians(b.y)) * Math.sin(dLon / 2) ** 2;
+        return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
+    }
+
+    /**
+     * Get the perimeter of a closed polygon in meters
+     */
+    function getPolygonPerimeter(points) {
+        if (points.length < 2) return 0;
+        let perimeter = 0;
+        for (let i = 0; i < points.length; i++) {
+            perimeter += getDistance(points[i], points[(i + 1) % points.length]);
+        }
+        return perimeter;
+    }
+
+    /**
+     * Check whether a lon/lat point lies inside a polygon (ray casting)
+     */
+    function isPointInPolygon(point, points) {
+        let inside = false;
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const a = points[i];
+            const b = points[j];
+            if ((a.y > point.y) !== (b.y > point.y) &&
+                point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    /**
+     * Get a polygon's ring without the repeated closing point
+     */
+    function getOpenRing(points) {
+        if (points.length > 1) {
+            const first = points[0];
+            const last = points[points.length - 1];
+            if (first.x === last.x && first.y === last.y) {
+                return points.slice(0, -1);
+            }
+        }
+        return points;
+    }
+
+    /**
+     * Check whether segments ab and cd cross each other (touching endpoints don't count)
+     */
+    function segmentsCross(a, b, c, d) {
+        const orientation = (p, q, r) => Math.sign((q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x));
+        const o1 = orientation(a, b, c);
+        const o2 = orientation(a, b, d);
+        const o3 = orientation(c, d, a);
+        const o4 = orientation(c, d, b);
+        return o1 * o2 < 0 && o3 * o4 < 0;
+    }
+
+    /**
+     * Check whether any two non-adjacent edges of a polygon cross
+     */
+    function isSelfIntersecting(points) {
+        const ring = getOpenRing(points);
+        const n = ring.length;
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 2; j < n; j++) {
+                if (i === 0 && j === n - 1) continue;
+                if (segmentsCross(ring[i], ring[(i + 1) % n], ring[j], ring[(j + 1) % n])) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Check whether two polygons overlap: crossing edges, or one lying inside the other
+     */
+    function polygonsOverlap(a, b) {
+        if (!boundingBoxesIntersect(getBoundingBox(a), getBoundingBox(b))) {
+            return false;
+        }
+        const ringA = getOpenRing(a);
+        const ringB = getOpenRing(b);
+        for (let i = 0; i < ringA.length; i++) {
+            for (let j = 0; j < ringB.length; j++) {
+                if (segmentsCross(ringA[i], ringA[(i + 1) % ringA.length], ringB[j], ringB[(j + 1) % ringB.length])) {
+                    return true;
+                }
+            }
+        }
+        return isPointInPolygon(getCentroid(ringA), ringB) || isPointInPolygon(getCentroid(ringB), ringA);
+    }
+
+    /**
+     * Format an area for display
+     */
+    function formatArea(squareMeters) {
+        if (squareMeters >= 1000000) {
+            return `${formatNumber(squareMeters / 1000000, 2)} km²`;
+        }
+        if (squareMeters >= 10000) {
+            return `${formatNumber(squareMeters / 10000, 2)} ha`;
+        }
+        return `${formatNumber(Math.round(squareMeters))} m²`;
+    }
+
+    /**
+     * Format a distance for display
+     */
+    function formatDistance(meters) {
+        return meters >= 1000 ? `${formatNumber(meters / 1000, 2)} km` : `${formatNumber(Math.round(meters))} m`;
+    }
+
+    /**
+     * Parse "latitude, longitude" pairs, one per line
+     */
+    function parseCoordinateList(text) {
+        const lines = text.split(/[\n;]+/).map(line => line.trim()).filter(Boolean);
+        return lines.map((line, index) => {
+            const parts = line.split(/[\s,]+/).filter(Boolean).map(Number);
+            if (parts.length !== 2 || parts.some(isNaN)) {
+                throw new Error(t('Line {line} is not a "latitude, longitude" pair', { line: index + 1 }));
+            }
+            return toZonePoint(parts[1], parts[0]);
+        });
+    }
+
+    /**
+     * Parse the outer ring of a WKT or GeoJSON polygon (the first polygon of a multi-polygon)
+     */
+    function parsePolygonText(text) {
+        const trimmed = text.trim();
+
+        if (trimmed.startsWith('{')) {
+            let geometry = JSON.parse(trimmed);
+            if (geometry.type === 'FeatureCollection') {
+                geometry = (geometry.features || [])[0] || {};
+            }
+            if (geometry.type === 'Feature') {
+                geometry = geometry.geometry || {};
+            }
+            const ring = geometry.type === 'Polygon' ? (geometry.coordinates || [])[0]
+                : geometry.type === 'MultiPolygon' ? ((geometry.coordinates || [])[0] || [])[0]
+                : null;
+            if (!ring) {
+                throw new Error(t('The GeoJSON has no Polygon or MultiPolygon'));
+            }
+            return ring.map(position => toZonePoint(Number(position[0]), Number(position[1])));
+        }
+
+        const match = trimmed.match(/^(MULTI)?POLYGON\s*\(+\s*([^()]+)\)/i);
+        if (!match) {
+            throw new Error(t('Expected WKT POLYGON((...)) or GeoJSON'));
+        }
+        return match[2].split(',').map(position => {
+            const [x, y] = position.trim().split(/\s+/).map(Number);
+            return toZonePoint(x, y);
+        });
+    }
+
+    /**
+     * Build a polygon approximating a circle around a lon/lat center
+     */
+    function buildCirclePolygon(center, radiusMeters, sides) {
+        const cosLat = Math.cos(toRadians(center.y));
+        const points = [];
+        for (let i = 0; i < sides; i++) {
+            const angle = 2 * Math.PI * i / sides;
+            points.push({
+                x: center.x + radiusMeters * Math.sin(angle) / (EARTH_RADIUS_M * cosLat) * 180 / Math.PI,
+                y: center.y + radiusMeters * Math.cos(angle) / EARTH_RADIUS_M * 180 / Math.PI
+            });
+        }
+        return points;
+    }
+
+    /**
+     * Check a lon/lat pair and turn it into a zone point
+     */
+    function toZonePoint(x, y) {
+        if (isNaN(x) || isNaN(y) || Math.abs(x) > 180 || Math.abs(y) > 90) {
+            throw new Error(t('{latitude}, {longitude} is not a valid latitude, longitude', { latitude: y, longitude: x }));
+        }
+        return { x: x, y: y };
+    }
+
+    /**
+     * Read the polygon currently described in the zone editor, closed like MyGeotab stores it
+     */
+    function readZoneEditorPoints() {
+        const source = document.getElementById('zoneEditorSource').value;
+        let points;
+
+        if (source === 'circle') {
+            const center = toZonePoint(
+                parseFloat(document.getElementById('zoneEditorLongitude').value),
+                parseFloat(document.getElementById('zoneEditorLatitude').value)
+            );
+            const radius = parseFloat(document.getElementById('zoneEditorRadius').value);
+            if (!(radius > 0)) {
+                throw new Error(t('Enter a radius in meters'));
+            }
+            points = buildCirclePolygon(center, radius, ZONE_CIRCLE_SIDES);
+        } else if (source === 'text') {
+            points = parsePolygonText(document.getElementById('zoneEditorPolygonText').value);
+        } else {
+            points = parseCoordinateList(document.getElementById('zoneEditorCoordinates').value);
+        }
+
+        points = getOpenRing(points);
+        if (points.length < 3) {
+            throw new Error(t('A zone needs at least three points'));
+        }
+        return [...points, { ...points[0] }];
+    }
+
+    /**
+     * Open the zone editor to create a new zone
+     */
+    function openCreateZone() {
+        if (!api) {
+            showAlert(t('Geotab API not initialized'), 'danger');
+            return;
+        }
+
+        editingZoneId = null;
+        editingZoneOriginal = null;
+        document.getElementById('zoneEditorTitle').textContent = t('Create Zone');
+        document.getElementById('zoneEditorName').value = '';
+        document.getElementById('zoneEditorSource').value = 'coordinates';
+        document.getElementById('zoneEditorCoordinates').value = '';
+        document.getElementById('zoneEditorPolygonText').value = '';
+        document.getElementById('zoneEditorYardMove').checked = false;
+        document.getElementById('zoneEditorYardMoveOption').style.display = '';
+        updateZoneEditor();
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('zoneEditorModal')).show();
+    }
+
+    /**
+     * Open the zone editor on the geometry of the previewed zone
+     */
+    window.editZoneGeometry = function() {
+        const zone = previewZoneId ? findZone(previewZoneId) : null;
+        if (!zone) return;
+
+        editingZoneId = zone.id;
+        editingZoneOriginal = { id: zone.id, version: zone.version, name: zone.name, points: zone.points || [] };
+        document.getElementById('zoneEditorTitle').textContent = t('Edit {name}', { name: zone.name });
+        document.getElementById('zoneEditorName').value = zone.name;
+        document.getElementById('zoneEditorSource').value = 'coordinates';
+        document.getElementById('zoneEditorCoordinates').value = getOpenRing(zone.points || [])
+            .map(p => `${p.y}, ${p.x}`)
+            .join('\n');
+        document.getElementById('zoneEditorPolygonText').value = '';
+        document.getElementById('zoneEditorYardMoveOption').style.display = 'none';
+        updateZoneEditor();
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('zoneEditorModal')).show();
+    };
+
+    /**
+     * Save a new name and geometry over the zone the editor was opened on. Unlike a zoneTypes
+     * change, a whole-geometry replace can't be merged with someone else's edit, so the save fails
+     * if the zone's name or points changed since the editor opened. Other changes, like its zone
+     * types, are kept.
+     */
+    async function saveEditedZone(original, name, points) {
+        const conflict = () => new Error(t('"{name}" was changed by someone else after you opened it. Reload the zones and edit it again.', { name: original.name }));
+        const samePoints = (a, b) => JSON.stringify((a || []).map(p => [p.x, p.y])) === JSON.stringify((b || []).map(p => [p.x, p.y]));
+
+        const zone = await getZone(original.id);
+        if (zone.version !== original.version && (zone.name !== original.name || !samePoints(zone.points, original.points))) {
+            throw conflict();
+        }
+
+        try {
+            await makeGeotabCall("Set", "Zone", { entity: { ...zone, name: name, points: points } });
+        } catch (error) {
+            throw isVersionConflict(error) ? conflict() : error;
+        }
+    }
+
+    /**
+     * Show the inputs of the chosen geometry source and summarize the polygon they describe
+     */
+    function updateZoneEditor() {
+        const source = document.getElementById('zoneEditorSource').value;
+        ['coordinates', 'text', 'circle'].forEach(key => {
+            document.getElementById(`zoneEditorSource-${key}`).style.display = key === source ? '' : 'none';
+        });
+
+        const summaryEl = document.getElementById('zoneEditorSummary');
+        let points;
+        try {
+            points = readZoneEditorPoints();
+        } catch (error) {
+            summaryEl.innerHTML = `<span class="text-muted">${escapeHtml(error.message)}</span>`;
+            return;
+        }
+
+        const draft = { id: editingZoneId || 'new', points: points };
+        const yardMove = editingZoneId
+            ? yardMoveZones.some(zone => zone.id === editingZoneId)
+            : document.getElementById('zoneEditorYardMove').checked;
+        const issues = yardMove
+            ? validateYardMoveAdditions([draft]).get(draft.id) || []
+            : getZoneShapeIssues(draft);
+
+        summaryEl.innerHTML = `
+            ${tn(points.length - 1, '{count} point', '{count} points')}, ${formatArea(getPolygonArea(points))}, ${t('perimeter {distance}', { distance: formatDistance(getPolygonPerimeter(points)) })}
+            ${renderIssueBadges(issues)}
+        `;
+    }
+    window.updateZoneEditor = updateZoneEditor;
+
+    /**
+     * Add the zone described in the editor, or save the new geometry of the zone being edited
+     */
+    window.saveZoneEditor = async function() {
+        if (getReadOnlyReason()) {
+            showAlert(getReadOnlyReason(), 'warning');
+            return;
+        }
+        
+        const name = document.getElementById('zoneEditorName').value.trim();
+        let points;
+        try {
+            if (!name) {
+                throw new Error(t('Enter a zone name'));
+            }
+            points = readZoneEditorPoints();
+        } catch (error) {
+            showAlert(error.message, 'warning');
+            document.getElementById('zoneEditorSummary').innerHTML = `<span class="text-danger">${escapeHtml(error.message)}</span>`;
+            return;
+        }
+
+        const zoneId = editingZoneId;
+        const yardMove = zoneId
+            ? yardMoveZones.some(zone => zone.id === zoneId)
+            : document.getElementById('zoneEditorYardMove').checked;
+
+        // Yard Move Zones follow the geometry policy, whichever way they get their polygon
+        if (yardMove && geometryPolicy.mode === 'block') {
+            const issues = validateYardMoveAdditions([{ id: zoneId || 'new', points: points }]).get(zoneId || 'new');
+            if (issues) {
+                showAlert(t('Blocked by geometry policy: {issues}', { issues: issues.map(issue => issue.message).join('; ') }), 'danger');
+                return;
+            }
+        }
+
+        setButtonLoading('saveZoneEditorBtn', true);
+        try {
+            let saved;
+            if (zoneId) {
+                // Re-read the zone afterwards for its new version
+                await saveEditedZone(editingZoneOriginal, name, points);
+                saved = await getZone(zoneId);
+            } else {
+                const groupFilter = getActiveGroupFilter();
+                const newId = await makeGeotabCall("Add", "Zone", {
+                    entity: {
+                        name: name,
+                        points: points,
+                        groups: groupFilter || [{ id: 'GroupCompanyId' }],
+                        zoneTypes: yardMove ? [{ id: yardMoveTypeId }] : [],
+                        displayed: true
+                    }
+                });
+                saved = await getZone(newId);
+                // A zone created as a Yard Move Zone is an add like any other
+                if (hasZoneType(saved, yardMoveTypeId)) {
+                    recordAudit([moveResult(saved, [])], { typeId: yardMoveTypeId, add: true }, 'record');
+                }
+            }
+
+            // Insert or replace the zone locally instead of reloading every zone
+            const zoneData = toZoneData(saved);
+            publishZoneChanges([saved]);
+            const existing = findZone(zoneData.id);
+            if (existing) {
+                Object.assign(existing, zoneData);
+            } else if (hasZoneType(zoneData, yardMoveTypeId)) {
+                yardMoveZones.push(zoneData);
+            } else {
+                regularZones.push(zoneData);
+            }
+            auditYardMoveZones();
+            refreshFilteredZones();
+            previewZoneId = zoneData.id;
+            renderZones();
+
+            bootstrap.Modal.getOrCreateInstance(document.getElementById('zoneEditorModal')).hide();
+            showAlert(zoneId
+                ? t('Saved the geometry of "{name}"', { name: zoneData.name })
+                : t('Created zone "{name}"', { name: zoneData.name }), 'success');
+        } catch (error) {
+            console.error('Error saving zone:', error);
+            showAlert(t('Error saving zone: {message}', { message: error.message }), 'danger');
+        } finally {
+            setButtonLoading('saveZoneEditorBtn', false);
+        }
+    };
+
+    /**
+     * Show/hide button loading state
+     */
+    function setButtonLoading(buttonId, loading = true) {
+        const button = document.getElementById(buttonId);
+        if (!button) return;
+
+        const btnText = button.querySelector('.btn-text');
+        const btnLoadingText = button.querySelector('.btn-loading-text');
+
+        if (loading) {
+            button.disabled = true;
+            if (btnText) btnText.style.display = 'none';
+            if (btnLoadingText) btnLoadingText.style.display = 'inline-flex';
+        } else {
+            button.disabled = false;
+            if (btnText) btnText.style.display = 'inline-flex';
+            if (btnLoadingText) btnLoadingText.style.display = 'none';
+        }
+    }
+
+    /**
+     * Tell the user about something: a toast, an entry in the session log, and the console
+     */
+    function showAlert(message, type = 'info') {
+        if (type === 'danger' || type === 'warning') {
+            console.error(`[${type}] ${message}`);
+        } else {
+            console.log(`[${type}] ${message}`);
+        }
+
+        sessionLog.unshift({ time: new Date(), message: message, type: type });
+        sessionLog.splice(MAX_SESSION_LOG);
+        renderSessionLog();
+        showToast(message, type);
+    }
+
+    /**
+     * Show a toast; errors stay until dismissed, everything else fades on its own
+     */
+    function showToast(message, type) {
+        const container = document.getElementById('toastContainer');
+        if (!container || typeof bootstrap === 'undefined' || !bootstrap.Toast) return;
+
+        const darkText = type === 'warning' || type === 'info';
+        const toastEl = document.createElement('div');
+        toastEl.className = `toast align-items-center text-bg-${type} border-0`;
+        toastEl.setAttribute('role', type === 'danger' ? 'alert' : 'status');
+        toastEl.setAttribute('aria-live', type === 'danger' ? 'assertive' : 'polite');
+        toastEl.setAttribute('aria-atomic', 'true');
+        toastEl.innerHTML = `
+            <div class="d-flex">
+                <div class="toast-body"></div>
+                <button type="button" class="btn-close ${darkText ? '' : 'btn-close-white'} me-2 m-auto" data-bs-dismiss="toast" aria-label="${t('Close')}"></button>
+            </div>
+        `;
+        toastEl.querySelector('.toast-body').textContent = message;
+        toastEl.addEventListener('hidden.bs.toast', () => toastEl.remove());
+        container.appendChild(toastEl);
+
+        // Keep the stack short when many things happen at once
+        while (container.children.length > MAX_TOASTS) {
+            container.firstElementChild.remove();
+        }
+
+        bootstrap.Toast.getOrCreateInstance(toastEl, {
+            autohide: type !== 'danger',
+            delay: type === 'warning' ? TOAST_WARNING_DELAY_MS : TOAST_DELAY_MS
+        }).show();
+    }
+
+    /**
+     * Render the session activity log and its entry count
+     */
+    function renderSessionLog() {
+        const countEl = document.getElementById('sessionLogCount');
+        if (countEl) {
+            const errors = sessionLog.filter(entry => entry.type === 'danger').length;
+            countEl.textContent = errors > 0 ? errors : sessionLog.length;
+            countEl.className = `badge rounded-pill ms-2 ${errors > 0 ? 'bg-danger' : 'bg-secondary'}`;
+        }
+
+        const listEl = document.getElementById('sessionLogList');
+        if (!listEl) return;
+
+        listEl.innerHTML = sessionLog.length === 0
+            ? `<li class="text-muted">${t('Nothing has happened yet in this session.')}</li>`
+            : sessionLog.map(entry => `
+                <li class="session-log-entry ${entry.type}">
+                    <span class="session-log-time">${entry.time.toLocaleTimeString(language)}</span>
+                    <span>${escapeHtml(entry.message)}</span>
+                </li>
+            `).join('');
+    }
+
+    /**
+     * Show or hide the session activity log
+     */
+    window.toggleSessionLog = function() {
+        const panel = document.getElementById('sessionLog');
+        if (!panel) return;
+
+        const open = panel.style.display === 'none';
+        panel.style.display = open ? 'block' : 'none';
+        document.getElementById('sessionLogToggle').setAttribute('aria-expanded', String(open));
+    };
+
+    /**
+     * Empty the session activity log
+     */
+    window.clearSessionLog = function() {
+        sessionLog = [];
+        renderSessionLog();
+    };
+
+    /**
+     * Turn a failed save into a message for the user
+     */
+    function describeZoneError(error) {
+        const text = `${(error && error.name) || ''} ${(error && error.message) || error}`;
+        if (/permission|security|not authori[sz]ed|access denied/i.test(text)) {
+            return t('You do not have permission to change this zone');
+        }
+        return (error && error.message) || String(error);
+    }
+
+    /**
+     * Forget the error shown on a zone row
+     */
+    window.clearZoneError = function(event, zoneId) {
+        event.stopPropagation();
+        zoneErrors.delete(zoneId);
+        renderZones();
+    };
+
+    /**
+     * Render zones in the UI
+     */
+    function renderZones() {
+        getColumnKeys().forEach(key => {
+            renderZoneList(`${getColumnPrefix(key)}ZonesList`, getFilteredZones(key), key);
+        });
+        updateCounts();
+        renderExpiringSoon();
+        renderZonePreview();
+    }
+
+    /**
+     * Get the keys of every column on the board
+     */
+    function getColumnKeys() {
+        return ['regular', 'yardmove', ...managedTypeIds];
+    }
+
+    /**
+     * Get the element id prefix of a column
+     */
+    function getColumnPrefix(key) {
+        if (key === 'regular') return 'regular';
+        if (key === 'yardmove') return 'yardMove';
+        return `zoneType_${key}`;
+    }
+
+    /**
+     * Get the ZoneType id a column stands for ('regular' has none)
+     */
+    function getColumnTypeId(key) {
+        if (key === 'regular') return null;
+        if (key === 'yardmove') return yardMoveTypeId;
+        return key;
+    }
+
+    /**
+     * Get a zone type's display name
+     */
+    function getZoneTypeName(typeId) {
+        if (typeId === yardMoveTypeId) return t('Yard Move Zones');
+        const zoneType = zoneTypesById.get(typeId);
+        return zoneType ? zoneType.name : typeId;
+    }
+
+    /**
+     * Check whether a zone carries a zone type
+     */
+    function hasZoneType(zone, typeId) {
+        return (zone.zoneTypes || []).some(zt => zt.id === typeId);
+    }
+
+    /**
+     * Get every loaded zone of a column before searching
+     */
+    function getColumnZones(key) {
+        if (key === 'regular') return regularZones;
+        if (key === 'yardmove') return yardMoveZones;
+        return [...regularZones, ...yardMoveZones].filter(zone => hasZoneType(zone, key));
+    }
+
+    /**
+     * Get the localStorage key holding the extra type columns picked for the current database
+     */
+    function getManagedTypesStorageKey() {
+        return `yardMoveZones.managedTypes.${databaseName || 'default'}`;
+    }
+
+    /**
+     * Read the extra type columns picked for the current database
+     */
+    function loadManagedTypeIds() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(getManagedTypesStorageKey()) || '[]');
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            console.warn('Could not read managed zone types:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Remember the extra type columns picked for the current database
+     */
+    function saveManagedTypeIds() {
+        try {
+            localStorage.setItem(getManagedTypesStorageKey(), JSON.stringify(managedTypeIds));
+        } catch (error) {
+            console.warn('Could not save managed zone types:', error);
+        }
+    }
+
+    /**
+     * Build the board columns for the extra managed zone types
+     */
+    function renderTypeColumns() {
+        const container = document.getElementById('typeColumns');
+        if (!container) return;
+        
+        container.innerHTML = managedTypeIds.map(typeId => {
+            const prefix = getColumnPrefix(typeId);
+            const typeName = getZoneTypeName(typeId);
+            return `
+                <div class="col-lg-6 mb-4">
+                    <div class="zone-container p-3" id="${prefix}ZonesList-container"
+                         ondrop="drop(event, '${typeId}')"
+                         ondragover="allowDrop(event)"
+                         ondragenter="dragEnter(event)"
+                         ondragleave="dragLeave(event)">
+                        <div class="zone-header managed-type">
+                            <h4><i class="fas fa-tags me-2"></i>${escapeHtml(typeName)}</h4>
+                            <div class="zone-count" id="${prefix}Count">${tn(0, '{count} zone', '{count} zones')}</div>
+                        </div>
+                        <div class="search-container">
+                            <input type="text" class="form-control search-input" id="${prefix}Search"
+                                   placeholder="${escapeHtml(t('Search {type}...', { type: typeName.toLowerCase() }))}">
+                            <select class="form-select form-select-sm group-facet mt-2" id="${prefix}GroupFacet"
+                                    aria-label="${t('Filter by group')}" onchange="filterZones('${typeId}')">
+                                <option value="">${t('All groups')}</option>
+                            </select>
+                            <div class="selection-bar d-flex justify-content-between align-items-center mt-2">
+                                <div class="form-check mb-0">
+                                    <input class="form-check-input" type="checkbox" id="${prefix}SelectAll"
+                                           onchange="toggleSelectAll('${typeId}', this.checked)">
+                                    <label class="form-check-label small" for="${prefix}SelectAll">${t('Select all filtered')}</label>
+                                </div>
+                                <button class="btn btn-sm btn-move-selected requires-edit" id="${prefix}MoveBtn"
+                                        onclick="moveSelectedZones('${typeId}')" disabled>
+                                    <i class="fas fa-times me-1"></i> ${t('Remove')} <span id="${prefix}SelectedCount">0</span> ${escapeHtml(t('from {type}', { type: typeName }))}
+                                </button>
+                            </div>
+                        </div>
+                        <div id="${prefix}ZonesList"></div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        managedTypeIds.forEach(typeId => {
+            document.getElementById(`${getColumnPrefix(typeId)}Search`)
+                .addEventListener('input', () => debounceSearch(typeId));
+        });
+    }
+
+    /**
+     * List every zone type in the settings dialog, with the managed ones checked
+     */
+    function renderZoneTypeSettings() {
+        const listEl = document.getElementById('zoneTypeSettingsList');
+        if (!listEl) return;
+        
+        const zoneTypes = [...zoneTypesById.values()]
+            .filter(zoneType => zoneType.id !== yardMoveTypeId)
+            .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+        
+        listEl.innerHTML = `
+            <div class="form-check">
+                <input class="form-check-input" type="checkbox" id="zoneTypeSetting_yardmove" checked disabled>
+                <label class="form-check-label" for="zoneTypeSetting_yardmove">${escapeHtml(getZoneTypeName(yardMoveTypeId))} <small class="text-muted">${t('(always shown)')}</small></label>
+            </div>
+            ${zoneTypes.map(zoneType => `
+                <div class="form-check">
+                    <input class="form-check-input" type="checkbox" id="zoneTypeSetting_${zoneType.id}"
+                           ${managedTypeIds.includes(zoneType.id) ? 'checked' : ''}
+                           onchange="toggleManagedType('${zoneType.id}', this.checked)">
+                    <label class="form-check-label" for="zoneTypeSetting_${zoneType.id}">${escapeHtml(zoneType.name || zoneType.id)}</label>
+                </div>
+            `).join('')}
+            ${zoneTypes.length === 0 ? `<p class="small text-muted mb-0">${t('No other zone types in this database yet.')}</p>` : ''}
+        `;
+    }
+
+    /**
+     * Rebuild the board after the set of managed types changed
+     */
+    function applyManagedTypeChange() {
+        saveManagedTypeIds();
+        renderTypeColumns();
+        managedTypeIds.forEach(typeId => getSelection(typeId));
+        renderGroupFacets();
+        refreshFilteredZones();
+        renderZones();
+    }
+
+    /**
+     * Open the zone type settings dialog
+     */
+    window.openZoneTypeSettings = function() {
+        renderZoneTypeSettings();
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('zoneTypeSettingsModal')).show();
+    };
+
+    /**
+     * Show or hide a zone type as a board column
+     */
+    window.toggleManagedType = function(typeId, show) {
+        managedTypeIds = managedTypeIds.filter(id => id !== typeId);
+        if (show) {
+            managedTypeIds.push(typeId);
+        }
+        applyManagedTypeChange();
+    };
+
+    /**
+     * Create a new zone type and show it as a column
+     */
+    window.createZoneType = async function() {
+        const nameInput = document.getElementById('newZoneTypeName');
+        const name = nameInput ? nameInput.value.trim() : '';
+        if (!name) return;
+        if (!permissions.manageZoneTypes) {
+            showAlert(t('Your security clearance does not allow creating zone types'), 'warning');
+            return;
+        }
+        
+        const existing = [...zoneTypesById.values()].find(zt => (zt.name || '').toLowerCase() === name.toLowerCase());
+        if (existing) {
+            showAlert(t('A zone type named "{name}" already exists', { name: existing.name }), 'warning');
+            return;
+        }
+        
+        setButtonLoading('createZoneTypeBtn', true);
+        try {
+            const newZoneType = { name: name, id: null, version: null };
+            const typeId = await makeGeotabCall("Add", "ZoneType", { entity: newZoneType });
+            zoneTypesById.set(typeId, { ...newZoneType, id: typeId });
+            managedTypeIds.push(typeId);
+            nameInput.value = '';
+            applyManagedTypeChange();
+            renderZoneTypeSettings();
+            showAlert(t('Created zone type "{name}"', { name: name }), 'success');
+        } catch (error) {
+            console.error('Error creating zone type:', error);
+            showAlert(t('Error creating zone type "{name}": {message}', { name: name, message: error.message }), 'danger');
+        } finally {
+            setButtonLoading('createZoneTypeBtn', false);
+        }
+    };
+
+    /**
+     * Reduce a zone type name to its letters, ignoring case, spacing, punctuation, numbering and
+     * words like "copy" that renames and copies between databases tend to add
+     */
+    function normalizeZoneTypeName(name) {
+        return String(name || '').toLowerCase()
+            .replace(/\b(copy|old|new|duplicate)\b/g, '')
+            .replace(/[^a-z]/g, '');
+    }
+
+    /**
+     * Check whether a zone type name looks like "Yard Move Zones", singular forms included
+     */
+    function isYardMoveTypeName(name) {
+        return /^yardmoves?(zones?)?$/.test(normalizeZoneTypeName(name));
+    }
+
+    /**
+     * Find the zone types that look like Yard Move Zones, the one in use first, with the ids of the
+     * zones carrying each across the whole database
+     */
+    function findYardMoveTypeCandidates(allZones) {
+        const candidates = [...zoneTypesById.values()]
+            .filter(zoneType => zoneType.id === yardMoveTypeId || isYardMoveTypeName(zoneType.name))
+            .sort((a, b) => (b.id === yardMoveTypeId) - (a.id === yardMoveTypeId))
+            .map(zoneType => ({ type: zoneType, zoneIds: [] }));
+        const candidatesById = new Map(candidates.map(candidate => [candidate.type.id, candidate]));
+
+        allZones.forEach(zone => {
+            (zone.zoneTypes || []).forEach(zt => {
+                const candidate = candidatesById.get(zt.id);
+                if (candidate) {
+                    candidate.zoneIds.push(zone.id);
+                }
+            });
+        });
+        return candidates;
+    }
+
+    /**
+     * Find the zone type ids that zones carry but the database no longer has, left behind when a
+     * type is deleted while zones still carry it, with the ids of those zones
+     */
+    function findOrphanedZoneTypes(allZones) {
+        const zoneIdsByType = new Map();
+        allZones.forEach(zone => {
+            (zone.zoneTypes || []).forEach(zt => {
+                // Built-in types have fixed ids like "ZoneTypeCustomerId"
+                if (zoneTypesById.has(zt.id) || /^ZoneType\w+Id$/.test(zt.id)) return;
+                if (!zoneIdsByType.has(zt.id)) {
+                    zoneIdsByType.set(zt.id, []);
+                }
+                zoneIdsByType.get(zt.id).push(zone.id);
+            });
+        });
+        return [...zoneIdsByType].map(([id, zoneIds]) => ({ id: id, zoneIds: zoneIds }));
+    }
+
+    /**
+     * Get the other zone types that need merging: those carrying zones the board doesn't show as
+     * Yard Move Zones, and exact namesakes that a later load could pick instead of the one in use
+     */
+    function getDuplicateYardMoveTypes() {
+        return yardMoveTypeCandidates.filter(candidate => candidate.type.id !== yardMoveTypeId &&
+            (candidate.zoneIds.length > 0 || candidate.type.name === "Yard Move Zones"));
+    }
+
+    /**
+     * Show or hide the notice about duplicate Yard Move Zone types and zone types that no longer exist
+     */
+    function renderZoneTypeHealth() {
+        const noticeEl = document.getElementById('zoneTypeHealthNotice');
+        if (!noticeEl) return;
+
+        const duplicates = getDuplicateYardMoveTypes();
+        const zoneCount = new Set(duplicates.flatMap(candidate => candidate.zoneIds)).size;
+        const orphanedZoneCount = new Set(orphanedZoneTypes.flatMap(orphan => orphan.zoneIds)).size;
+        const parts = [];
+        if (duplicates.length > 0) {
+            parts.push(tn(duplicates.length, '{count} other zone type looks like Yard Move Zones.', '{count} other zone types look like Yard Move Zones.'));
+            parts.push(tn(zoneCount, '{count} zone carrying them is not shown as a Yard Move Zone.', '{count} zones carrying them are not shown as Yard Move Zones.'));
+        }
+        if (orphanedZoneCount > 0) {
+            parts.push(tn(orphanedZoneCount, '{count} zone carries a zone type that no longer exists.', '{count} zones carry zone types that no longer exist.'));
+        }
+        noticeEl.style.display = parts.length > 0 ? 'block' : 'none';
+        document.getElementById('zoneTypeHealthMessage').textContent = parts.join(' ');
+    }
+
+    /**
+     * Get the zone type picked to keep in the merge dialog
+     */
+    function getKeptYardMoveTypeId() {
+        const checked = document.querySelector('input[name="zoneTypeHealthKeep"]:checked');
+        return checked ? checked.value : yardMoveTypeId;
+    }
+
+    /**
+     * Render the zone types that look like Yard Move Zones, with the one to keep picked
+     */
+    function renderZoneTypeHealthList() {
+        const listEl = document.getElementById('zoneTypeHealthList');
+        if (!listEl) return;
+
+        // Keeping a type under another name means renaming it, which needs the zone type right
+        const canKeep = candidate => candidate.type.id === yardMoveTypeId || permissions.manageZoneTypes;
+
+        listEl.innerHTML = yardMoveTypeCandidates.length <= 1
+            ? `<p class="small text-muted mb-0">${t('No other zone types look like Yard Move Zones.')}</p>`
+            : `
+                <table class="table table-sm align-middle mb-0">
+                    <thead>
+                        <tr>
+                            <th scope="col">${t('Keep')}</th>
+                            <th scope="col">${t('Zone type')}</th>
+                            <th scope="col" class="text-end">${t('Zones')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${yardMoveTypeCandidates.map(candidate => `
+                            <tr>
+                                <td>
+                                    <input class="form-check-input" type="radio" name="zoneTypeHealthKeep" value="${candidate.type.id}"
+                                           id="zoneTypeHealthKeep_${candidate.type.id}" onchange="updateZoneTypeMergeSummary()"
+                                           ${candidate.type.id === yardMoveTypeId ? 'checked' : ''}
+                                           ${canKeep(candidate) ? '' : `disabled title="${escapeHtml(t('Your security clearance does not allow renaming zone types'))}"`}>
+                                </td>
+                                <td>
+                                    <label for="zoneTypeHealthKeep_${candidate.type.id}">${escapeHtml(candidate.type.name || candidate.type.id)}</label>
+                                    <small class="text-muted ms-1">${candidate.type.id}</small>
+                                    ${candidate.type.id === yardMoveTypeId ? `<span class="badge bg-success ms-1">${t('In use')}</span>` : ''}
+                                </td>
+                                <td class="text-end">${formatNumber(candidate.zoneIds.length)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            `;
+
+        // Zone types deleted while zones still carry them can't be merged, only reported
+        if (orphanedZoneTypes.length > 0) {
+            listEl.innerHTML += `
+                <p class="small fw-semibold mt-3 mb-1">${t('Zone types that no longer exist')}</p>
+                <ul class="small mb-0">
+                    ${orphanedZoneTypes.map(orphan => `
+                        <li>
+                            <span class="text-muted">${escapeHtml(orphan.id)}</span>:
+                            ${escapeHtml(orphan.zoneIds.map(id => { const zone = findZone(id); return zone ? zone.name : id; }).join(', '))}
+                        </li>
+                    `).join('')}
+                </ul>
+            `;
+        }
+        updateZoneTypeMergeSummary();
+    }
+
+    /**
+     * Describe what merging onto the picked zone type will do
+     */
+    window.updateZoneTypeMergeSummary = function() {
+        const summaryEl = document.getElementById('zoneTypeHealthSummary');
+        const mergeBtn = document.getElementById('mergeZoneTypesBtn');
+        if (!summaryEl) return;
+
+        const keepId = getKeptYardMoveTypeId();
+        const keep = yardMoveTypeCandidates.find(candidate => candidate.type.id === keepId);
+        const others = yardMoveTypeCandidates.filter(candidate => candidate.type.id !== keepId);
+        if (!keep || others.length === 0) {
+            summaryEl.textContent = '';
+            if (mergeBtn) mergeBtn.disabled = true;
+            return;
+        }
+
+        const keepZoneIds = new Set(keep.zoneIds);
+        const moving = new Set(others.flatMap(candidate => candidate.zoneIds).filter(id => !keepZoneIds.has(id)));
+        const parts = [tn(moving.size, '{count} zone will be added to "{name}".', '{count} zones will be added to "{name}".', { name: keep.type.name })];
+        if (keep.type.name !== "Yard Move Zones") {
+            parts.push(t('"{name}" will be renamed to "Yard Move Zones".', { name: keep.type.name }));
+        }
+        if (!permissions.wholeDatabase) {
+            parts.push(t('Merging needs access to every zone in the database, so zones outside your groups are not left on a deleted type.'));
+        }
+        summaryEl.textContent = parts.join(' ');
+        if (mergeBtn) mergeBtn.disabled = bulkMoveInProgress || !permissions.wholeDatabase;
+    };
+
+    /**
+     * Open the duplicate zone type check
+     */
+    window.openZoneTypeHealth = function() {
+        const settingsModal = bootstrap.Modal.getInstance(document.getElementById('zoneTypeSettingsModal'));
+        if (settingsModal) {
+            settingsModal.hide();
+        }
+        renderZoneTypeHealthList();
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('zoneTypeHealthModal')).show();
+    };
+
+    /**
+     * Rename or delete the zone types merged away. Namesakes that are kept get renamed, so
+     * loading picks the kept type by its name. Resolves with the errors, by type.
+     */
+    async function retireYardMoveTypes(zoneTypes, deleteTypes) {
+        const errors = [];
+        const takenNames = new Set([...zoneTypesById.values()].map(zoneType => zoneType.name));
+        const nextOldName = () => {
+            let number = 1;
+            while (takenNames.has(`Yard Move Zones (old ${number})`)) {
+                number++;
+            }
+            takenNames.add(`Yard Move Zones (old ${number})`);
+            return `Yard Move Zones (old ${number})`;
+        };
+
+        for (const zoneType of zoneTypes) {
+            try {
+                if (deleteTypes) {
+                    await makeGeotabCall("Remove", "ZoneType", { entity: { id: zoneType.id } });
+                } else if (zoneType.name === "Yard Move Zones") {
+                    await makeGeotabCall("Set", "ZoneType", { entity: { ...zoneType, name: nextOldName() } });
+                }
+            } catch (error) {
+                console.error(`Error retiring zone type ${zoneType.id}:`, error);
+                errors.push(deleteTypes
+                    ? t('Could not delete zone type "{name}": {message}', { name: zoneType.name, message: error.message })
+                    : t('Could not rename zone type "{name}": {message}', { name: zoneType.name, message: error.message }));
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * Move every zone carrying one of the other Yard Move Zone types onto the picked one, then
+     * delete or rename the others and make sure the kept one is named "Yard Move Zones".
+     * Zones are read again first, so changes since the last load are included.
+     */
+    window.mergeYardMoveTypes = async function() {
+        if (bulkMoveInProgress) {
+            showAlert(t('Another move is still in progress'), 'warning');
+            return;
+        }
+        if (getReadOnlyReason()) {
+            showAlert(getReadOnlyReason(), 'warning');
+            return;
+        }
+
+        const keepId = getKeptYardMoveTypeId();
+        const keep = zoneTypesById.get(keepId);
+        const others = yardMoveTypeCandidates.map(candidate => candidate.type).filter(zoneType => zoneType.id !== keepId);
+        if (!keep || others.length === 0) return;
+        // Zones outside the user's groups would be left carrying types that get deleted or renamed
+        if (!permissions.wholeDatabase) {
+            showAlert(t('Merging needs access to every zone in the database, so zones outside your groups are not left on a deleted type.'), 'warning');
+            return;
+        }
+        if (keepId !== yardMoveTypeId && !permissions.manageZoneTypes) {
+            showAlert(t('Your security clearance does not allow renaming zone types'), 'warning');
+            return;
+        }
+
+        const otherIds = new Set(others.map(zoneType => zoneType.id));
+        const transform = zoneTypes => {
+            if (!zoneTypes.some(zt => otherIds.has(zt.id))) return null;
+            const kept = zoneTypes.filter(zt => !otherIds.has(zt.id));
+            return kept.some(zt => zt.id === keepId) ? kept : [...kept, { id: keepId }];
+        };
+        const deleteTypes = permissions.manageZoneTypes && document.getElementById('zoneTypeHealthDelete').checked;
+
+        bulkMoveInProgress = true;
+        setButtonLoading('mergeZoneTypesBtn', true);
+        getColumnKeys().forEach(updateSelectionControls);
+        updateHistoryControls();
+
+        let merged = false;
+        try {
+            showAlert(t('Merging zone types...'), 'info');
+            const feed = await fetchWholeFeed("Zone", () => {});
+            const zoneIds = feed.entities
+                .filter(zone => (zone.zoneTypes || []).some(zt => otherIds.has(zt.id)))
+                .map(zone => zone.id);
+
+            updateBulkProgress(0, zoneIds.length);
+            const results = await transformZones(zoneIds, transform, updateBulkProgress);
+            recordAudit(results, { typeId: keepId, add: true }, 'merge');
+
+            const failed = results.filter(r => r.error);
+            failed.forEach(r => {
+                console.error(`Error merging zone ${r.zoneId}:`, r.error);
+            });
+
+            // Zones still carrying the other types keep them in use, so they stay for another try
+            const errors = failed.length === 0 && permissions.manageZoneTypes
+                ? await retireYardMoveTypes(others, deleteTypes)
+                : [];
+            if (errors.length === 0 && failed.length === 0 && keep.name !== "Yard Move Zones") {
+                try {
+                    await makeGeotabCall("Set", "ZoneType", { entity: { ...keep, name: "Yard Move Zones" } });
+                } catch (error) {
+                    console.error('Error renaming the kept zone type:', error);
+                    errors.push(t('Could not rename zone type "{name}": {message}', { name: keep.name, message: error.message }));
+                }
+            }
+
+            if (failed.length > 0) {
+                showAlert(tn(failed.length, '{count} zone could not be moved, so the other zone types were kept', '{count} zones could not be moved, so the other zone types were kept'), 'danger');
+            }
+            errors.forEach(message => showAlert(message, 'danger'));
+            if (failed.length === 0 && errors.length === 0) {
+                showAlert(tn(results.length - failed.length, 'Merged {count} zone onto "{name}"', 'Merged {count} zones onto "{name}"', { name: "Yard Move Zones" }), 'success');
+                bootstrap.Modal.getOrCreateInstance(document.getElementById('zoneTypeHealthModal')).hide();
+            }
+            merged = true;
+        } catch (error) {
+            console.error('Error merging zone types:', error);
+            showAlert(t('Error merging zone types: {message}', { message: error.message }), 'danger');
+        } finally {
+            bulkMoveInProgress = false;
+            setButtonLoading('mergeZoneTypesBtn', false);
+            updateBulkProgress(0, null);
+            getColumnKeys().forEach(updateSelectionControls);
+            updateHistoryControls();
+        }
+
+        // Reload so the board, the published set and the check follow the kept type
+        if (merged) {
+            await loadZones();
+            renderZoneTypeHealthList();
+        }
+    };
+
+    /**
+     * Recompute the filtered list of every column
+     */
+    function refreshFilteredZones() {
+        filteredRegularZones = getZoneFilterMatches('regular');
+        filteredYardMoveZones = getZoneFilterMatches('yardmove');
+        filteredTypeZones = {};
+        managedTypeIds.forEach(typeId => {
+            filteredTypeZones[typeId] = getZoneFilterMatches(typeId);
+        });
+    }
+
+    /**
+     * Draw the previewed zone's polygon as SVG, with nearby Yard Move Zones for context
+     */
+    function renderZonePreview() {
+        const previewEl = document.getElementById('zonePreview');
+        if (!previewEl) return;
+
+        const zone = previewZoneId ? findZone(previewZoneId) : null;
+        if (!zone) {
+            previewZoneId = null;
+            previewEl.style.display = 'none';
+            return;
+        }
+
+        const isYardMove = yardMoveZones.includes(zone);
+        const points = zone.points || [];
+
+        document.getElementById('previewZoneName').textContent = zone.name;
+        document.getElementById('previewZoneType').textContent = isYardMove ? t('Yard Move Zone') : t('Regular zone');
+        document.getElementById('previewArea').textContent = points.length >= 3 ? formatArea(getPolygonArea(points)) : '-';
+        document.getElementById('previewPerimeter').textContent = points.length >= 2 ? formatDistance(getPolygonPerimeter(points)) : '-';
+        document.getElementById('previewPointCount').textContent = formatNumber(points.length);
+        document.getElementById('previewDesignation').textContent = describeDesignation(designations.get(zone.id), isYardMove);
+        document.getElementById('previewDesignationBtn').style.display = isYardMove || designations.has(zone.id) ? '' : 'none';
+
+        const mapEl = document.getElementById('previewMap');
+        previewEl.style.display = 'block';
+
+        if (points.length < 3) {
+            document.getElementById('previewContextCount').textContent = 0;
+            mapEl.innerHTML = `
+                <div class="empty-state">
+                    <i class="fas fa-draw-polygon"></i>
+                    <p>${t('This zone has no polygon to draw')}</p>
+                </div>
+            `;
+            return;
+        }
+
+        // Pad the zone's extent so neighbouring yards are visible around it
+        const origin = getCentroid(points);
+        const extent = projectToMeters(points, origin);
+        const extentBox = getBoundingBox(extent);
+        const margin = Math.max(PREVIEW_MIN_MARGIN_M, extentBox.maxX - extentBox.minX, extentBox.maxY - extentBox.minY) / 2;
+        const view = {
+            minX: extentBox.minX - margin,
+            minY: extentBox.minY - margin,
+            maxX: extentBox.maxX + margin,
+            maxY: extentBox.maxY + margin
+        };
+        const scale = Math.min(PREVIEW_WIDTH / (view.maxX - view.minX), PREVIEW_HEIGHT / (view.maxY - view.minY));
+        const offsetX = (PREVIEW_WIDTH - (view.maxX - view.minX) * scale) / 2;
+        const offsetY = (PREVIEW_HEIGHT - (view.maxY - view.minY) * scale) / 2;
+
+        const toSvgPoints = lonLatPoints => projectToMeters(lonLatPoints, origin)
+            .map(p => `${(offsetX + (p.x - view.minX) * scale).toFixed(1)},${(PREVIEW_HEIGHT - offsetY - (p.y - view.minY) * scale).toFixed(1)}`)
+            .join(' ');
+
+        // Yard Move Zones whose bounds reach into the visible area
+        const cosLat = Math.cos(toRadians(origin.y));
+        const viewLonLat = {
+            minX: origin.x + view.minX / (EARTH_RADIUS_M * cosLat) * 180 / Math.PI,
+            maxX: origin.x + view.maxX / (EARTH_RADIUS_M * cosLat) * 180 / Math.PI,
+            minY: origin.y + view.minY / EARTH_RADIUS_M * 180 / Math.PI,
+            maxY: origin.y + view.maxY / EARTH_RADIUS_M * 180 / Math.PI
+        };
+        const contextZones = yardMoveZones.filter(other =>
+            other.id !== zone.id &&
+            (other.points || []).length >= 3 &&
+            boundingBoxesIntersect(getBoundingBox(other.points), viewLonLat)
+        );
+
+        // Scale bar of a round length, about a quarter of the width
+        const targetLength = PREVIEW_WIDTH / 4 / scale;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(targetLength)));
+        const barMeters = [5, 2, 1].map(m => m * magnitude).find(m => m <= targetLength) || magnitude;
+        const barPixels = barMeters * scale;
+
+        mapEl.innerHTML = `
+            <svg viewBox="0 0 ${PREVIEW_WIDTH} ${PREVIEW_HEIGHT}" class="preview-svg" role="img" aria-label="${escapeHtml(t('Polygon of {name}', { name: zone.name }))}">
+                ${contextZones.map(other => `
+                    <polygon class="preview-context" points="${toSvgPoints(other.points)}">
+                        <title>${escapeHtml(other.name)}</title>
+                    </polygon>
+                `).join('')}
+                <polygon class="preview-zone ${isYardMove ? 'yard-move' : ''}" points="${toSvgPoints(points)}">
+                    <title>${escapeHtml(zone.name)}</title>
+                </polygon>
+                <g class="preview-scale" transform="translate(12, ${PREVIEW_HEIGHT - 14})">
+                    <line x1="0" y1="0" x2="${barPixels.toFixed(1)}" y2="0"></line>
+                    <text x="${(barPixels / 2).toFixed(1)}" y="-5" text-anchor="middle">${formatDistance(barMeters)}</text>
+                </g>
+            </svg>
+        `;
+
+        document.getElementById('previewContextCount').textContent = contextZones.length;
+    }
+
+    /**
+     * Find a zone in the local lists
+     */
+    function findZone(zoneId) {
+        return regularZones.find(z => z.id === zoneId) || yardMoveZones.find(z => z.id === zoneId);
+    }
+
+    /**
+     * Filter a column once typing in its search box pauses
+     */
+    function debounceSearch(type) {
+        clearTimeout(searchTimers.get(type));
+        searchTimers.set(type, setTimeout(() => {
+            searchTimers.delete(type);
+            filterZones(type);
+        }, SEARCH_DEBOUNCE_MS));
+    }
+
+    /**
+     * Filter zones based on search input
+     */
+    function filterZones(type) {
+        // Row indexes change with the filter, so a shift-click range can't span searches
+        lastSelectedIndex[type] = null;
+        
+        if (type === 'regular') {
+            filteredRegularZones = getZoneFilterMatches('regular');
+        } else if (type === 'yardmove') {
+            filteredYardMoveZones = getZoneFilterMatches('yardmove');
+        } else {
+            filteredTypeZones[type] = getZoneFilterMatches(type);
+        }
+        renderZoneList(`${getColumnPrefix(type)}ZonesList`, getFilteredZones(type), type);
+        
+        updateCounts();
+    }
+
+    /**
+     * Get the zones of a column matching its search box and group facet
+     */
+    function getZoneFilterMatches(type) {
+        const prefix = getColumnPrefix(type);
+        const searchInput = document.getElementById(`${prefix}Search`);
+        const facet = document.getElementById(`${prefix}GroupFacet`);
+        const searchTerm = searchInput ? searchInput.value.toLowerCase() : '';
+        const facetGroupIds = facet && facet.value ? getGroupAndDescendantIds(facet.value) : null;
+        
+        return getColumnZones(type).filter(zone =>
+            (zone.name.toLowerCase().includes(searchTerm) || zone.id.toLowerCase().includes(searchTerm)) &&
+            (!facetGroupIds || (zone.groups || []).some(g => facetGroupIds.has(g.id)))
+        );
+    }
+
+    /**
+     * Get the MyGeotab global group filter, or null when it covers the whole company
+     */
+    function getActiveGroupFilter() {
+        const groupFilter = state && typeof state.getGroupFilter === 'function' ? state.getGroupFilter() : null;
+        if (!groupFilter || groupFilter.length === 0 || groupFilter.some(g => g.id === 'GroupCompanyId')) {
+            return null;
+        }
+        return groupFilter.map(g => ({ id: g.id }));
+    }
+
+    /**
+     * Get a group's display name, with friendly names for the built-in groups
+     */
+    function getGroupName(groupId) {
+        const builtInNames = {
+            GroupCompanyId: t('Company'),
+            GroupPrivateUserId: t('Private')
+        };
+        const group = groupsById.get(groupId);
+        const name = group && group.name;
+        if (builtInNames[groupId] && (!name || /^\*\*.*\*\*$/.test(name))) {
+            return builtInNames[groupId];
+        }
+        return name || groupId;
+    }
+
+    /**
+     * Get a group id together with the ids of all groups below it
+     */
+    function getGroupAndDescendantIds(groupId) {
+        const ids = new Set();
+        const pending = [groupId];
+        while (pending.length > 0) {
+            const id = pending.pop();
+            if (ids.has(id)) continue;
+            ids.add(id);
+            const group = groupsById.get(id);
+            (group && group.children || []).forEach(child => pending.push(child.id));
+        }
+        return ids;
+    }
+
+    /**
+     * Show which MyGeotab groups the board is scoped to
+     */
+    function renderGroupFilterLabel(groupFilter) {
+        const labelEl = document.getElementById('groupFilterLabel');
+        if (!labelEl) return;
+        
+        if (!groupFilter) {
+            labelEl.style.display = 'none';
+            return;
+        }
+        
+        labelEl.innerHTML = `<i class="fas fa-filter me-1"></i>${escapeHtml(t('Showing zones in {groups}', { groups: groupFilter.map(g => getGroupName(g.id)).join(', ') }))}`;
+        labelEl.style.display = 'inline-flex';
+    }
+
+    /**
+     * Fill each column's group facet with the groups its zones belong to, keeping the current choice
+     */
+    function renderGroupFacets() {
+        getColumnKeys().forEach(key => {
+            const facet = document.getElementById(`${getColumnPrefix(key)}GroupFacet`);
+            if (!facet) return;
+            
+            const groupIds = new Set();
+            getColumnZones(key).forEach(zone => (zone.groups || []).forEach(g => groupIds.add(g.id)));
+            const options = [...groupIds]
+                .map(id => ({ id: id, name: getGroupName(id) }))
+                .sort((a, b) => a.name.localeCompare(b.name));
+            
+            const current = facet.value;
+            facet.innerHTML = `
+                <option value="">${t('All groups')}</option>
+                ${options.map(o => `<option value="${o.id}">${escapeHtml(o.name)}</option>`).join('')}
+            `;
+            facet.value = groupIds.has(current) ? current : '';
+        });
+    }
+
+    /**
+     * Render a list of zones. Long lists only get the rows in and near the visible part of
+     * their column, laid out at a fixed row height and re-rendered as the column scrolls.
+     */
+    function renderZoneList(containerId, zones, type) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+        
+        updateSelectionControls(type);
+        
+        if (zones.length === 0) {
+            showEmptyState(containerId, type);
+            return;
+        }
+        
+        container.setAttribute('role', 'list');
+        container.setAttribute('aria-label', type === 'regular' ? t('Regular zones') : getZoneTypeName(getColumnTypeId(type)));
+        
+        if (zones.length <= VIRTUAL_LIST_THRESHOLD) {
+            stopVirtualList(containerId);
+            replaceRows(container, zones.map((zone, index) => renderZoneRow(zone, index, type, zones.length)).join(''), type);
+            return;
+        }
+        
+        virtualLists[containerId] = { zones: zones, type: type };
+        container.classList.add('virtualized');
+        attachVirtualScroll(containerId);
+        renderVirtualRows(containerId);
+    }
+
+    /**
+     * Render the rows of a virtualized list that are within reach of its column's viewport
+     */
+    function renderVirtualRows(containerId) {
+        const list = virtualLists[containerId];
+        const container = document.getElementById(containerId);
+        const scroller = container && container.closest('.zone-container');
+        if (!list || !scroller) return;
+        
+        // Where the list starts inside the scrolling column, below its header and search box
+        const listTop = container.getBoundingClientRect().top - scroller.getBoundingClientRect().top + scroller.scrollTop;
+        const viewTop = scroller.scrollTop - listTop;
+        const viewHeight = scroller.clientHeight || VIRTUAL_LIST_THRESHOLD * ZONE_ROW_HEIGHT;
+        
+        const total = list.zones.length;
+        const start = Math.max(0, Math.floor(viewTop / ZONE_ROW_HEIGHT) - VIRTUAL_LIST_OVERSCAN);
+        const end = Math.min(total, Math.ceil((viewTop + viewHeight) / ZONE_ROW_HEIGHT) + VIRTUAL_LIST_OVERSCAN);
+        
+        const rows = [];
+        for (let index = start; index < end; index++) {
+            rows.push(renderZoneRow(list.zones[index], index, list.type, total));
+        }
+        
+        replaceRows(container, `
+            <div style="height:${start * ZONE_ROW_HEIGHT}px" aria-hidden="true"></div>
+            ${rows.join('')}
+            <div style="height:${(total - end) * ZONE_ROW_HEIGHT}px" aria-hidden="true"></div>
+        `, list.type);
+    }
+
+    /**
+     * Replace a list's rows, keeping keyboard focus on the same row position when a row had it
+     */
+    function replaceRows(container, html, type) {
+        const active = document.activeElement;
+        const hadFocus = active && active.classList && active.classList.contains('zone-item') && container.contains(active);
+        
+        container.innerHTML = html;
+        
+        if (hadFocus) {
+            const rows = container.querySelectorAll('.zone-item');
+            const index = focusedRowIndex[type] || 0;
+            const row = container.querySelector(`.zone-item[data-index="${index}"]`) || rows[rows.length - 1];
+            if (row) row.focus();
+        }
+    }
+
+    /**
+     * Get the zone type change for moving a row's zone to the other list: regular zones are
+     * added to Yard Move Zones, zones in a type column are removed from that type
+     */
+    function getRowChange(type) {
+        return type === 'regular'
+            ? { typeId: yardMoveTypeId, add: true }
+            : { typeId: getColumnTypeId(type), add: false };
+    }
+
+    /**
+     * Describe a row's move action, for its button and screen readers
+     */
+    function getRowActionLabel(type) {
+        return type === 'regular'
+            ? t('Add to {type}', { type: getZoneTypeName(yardMoveTypeId) })
+            : t('Remove from {type}', { type: getZoneTypeName(getColumnTypeId(type)) });
+    }
+
+    /**
+     * Move a single row's zone, or the column's selection when the row is part of it, the same
+     * way dropping it on the other list would
+     */
+    async function moveRowZone(type, zoneId) {
+        const selected = getSelection(type);
+        const zoneIds = selected.has(zoneId) ? [...selected] : [zoneId];
+        focusedRowIndex[type] = Math.max(0, getFilteredZones(type).findIndex(zone => zone.id === zoneId));
+        
+        const results = await moveBoardZones(zoneIds, getRowChange(type));
+        if (results) {
+            announceMoveResults(results, getRowChange(type));
+        }
+    }
+
+    /**
+     * Handle the move button on a row
+     */
+    window.moveZoneRow = function(event, type, zoneId) {
+        event.stopPropagation();
+        moveRowZone(type, zoneId);
+    };
+
+    /**
+     * Keyboard handling on a focused row: arrows, Home and End move between rows, Space
+     * selects or clears the zone (Shift+Space a range, like clicking its checkbox) and Enter
+     * moves it to the other list
+     */
+    window.zoneRowKeydown = function(event, type, index) {
+        if (event.target !== event.currentTarget) return;
+        
+        const zones = getFilteredZones(type);
+        const targets = {
+            ArrowDown: Math.min(index + 1, zones.length - 1),
+            ArrowUp: Math.max(index - 1, 0),
+            Home: 0,
+            End: zones.length - 1
+        };
+        
+        if (targets[event.key] !== undefined) {
+            event.preventDefault();
+            focusZoneRow(type, targets[event.key]);
+        } else if (event.key === ' ') {
+            event.preventDefault();
+            // The list is rendered again, so bring the focus back to the row
+            window.toggleZoneSelection(event, type, index);
+            focusZoneRow(type, index);
+        } else if (event.key === 'Enter') {
+            event.preventDefault();
+            if (zones[index]) {
+                moveRowZone(type, zones[index].id);
+            }
+        }
+    };
+
+    /**
+     * Remember which row of a list has keyboard focus, so it stays the list's tab stop
+     */
+    window.zoneRowFocus = function(type, index) {
+        if (focusedRowIndex[type] === index) return;
+        
+        const container = document.getElementById(`${getColumnPrefix(type)}ZonesList`);
+        if (!container) return;
+        
+        container.querySelectorAll('.zone-item[tabindex="0"]').forEach(row => row.setAttribute('tabindex', '-1'));
+        const row = container.querySelector(`.zone-item[data-index="${index}"]`);
+        if (row) row.setAttribute('tabindex', '0');
+        focusedRowIndex[type] = index;
+    };
+
+    /**
+     * Focus a row of a list by position, scrolling a virtualized list so the row gets rendered
+     */
+    function focusZoneRow(type, index) {
+        const containerId = `${getColumnPrefix(type)}ZonesList`;
+        const container = document.getElementById(containerId);
+        if (!container) return;
+        
+        let row = container.querySelector(`.zone-item[data-index="${index}"]`);
+        
+        const scroller = container.closest('.zone-container');
+        if (!row && virtualLists[containerId] && scroller) {
+            const listTop = container.getBoundingClientRect().top - scroller.getBoundingClientRect().top + scroller.scrollTop;
+            scroller.scrollTop = listTop + index * ZONE_ROW_HEIGHT - scroller.clientHeight / 2;
+            renderVirtualRows(containerId);
+            row = container.querySelector(`.zone-item[data-index="${index}"]`);
+        }
+        
+        if (row) {
+            window.zoneRowFocus(type, index);
+            row.focus();
+            if (row.scrollIntoView) {
+                row.scrollIntoView({ block: 'nearest' });
+            }
+        }
+    }
+
+    /**
+     * Read the outcome of a move out to screen readers
+     */
+    function announceMoveResults(results, change) {
+        const queued = results.filter(r => r.queued);
+        if (queued.length === results.length) {
+            announce(tn(queued.length, '{count} change could not reach MyGeotab and will be retried', '{count} changes could not reach MyGeotab and will be retried'));
+            return;
+        }
+        const failed = results.filter(r => r.error && !r.queued);
+        const done = results.length - failed.length - queued.length;
+        const typeName = getZoneTypeName(change.typeId);
+        const subject = results.length === 1
+            ? getZoneName(results[0].zoneId)
+            : tn(results.length, '{done} of {count} zone', '{done} of {count} zones', { done: formatNumber(done) });
+        
+        if (done === 0) {
+            announce(t('Could not move {zones}: {error}', {
+                zones: results.length === 1 ? subject : tn(results.length, '{count} zone', '{count} zones'),
+                error: describeZoneError(failed[0].error)
+            }));
+            return;
+        }
+        announce(change.add
+            ? t('{zones} added to {type}', { zones: subject, type: typeName })
+            : t('{zones} removed from {type}', { zones: subject, type: typeName }));
+    }
+
+    /**
+     * Announce a message through the polite live region
+     */
+    function announce(message) {
+        const announcer = document.getElementById('srAnnouncer');
+        if (!announcer) return;
+        
+        // Clearing first makes screen readers repeat an identical message
+        announcer.textContent = '';
+        setTimeout(() => {
+            announcer.textContent = message;
+        }, ANNOUNCE_DELAY_MS);
+    }
+
+    /**
+     * Re-render a virtualized list's rows as its column scrolls, once per animation frame
+     */
+    function attachVirtualScroll(containerId) {
+        const container = document.getElementById(containerId);
+        const scroller = container && container.closest('.zone-container');
+        if (!scroller || scroller.dataset.virtualScroll) return;
+        
+        scroller.dataset.virtualScroll = 'true';
+        let framePending = false;
+        scroller.addEventListener('scroll', () => {
+            if (framePending || !virtualLists[containerId]) return;
+            framePending = true;
+            window.requestAnimationFrame(() => {
+                framePending = false;
+                renderVirtualRows(containerId);
+            });
+        });
+    }
+
+    /**
+     * Turn a list back into a plain one before other content replaces its rows
+     */
+    function stopVirtualList(containerId) {
+        delete virtualLists[containerId];
+        const container = document.getElementById(containerId);
+        if (container) {
+            container.classList.remove('virtualized');
+        }
+    }
+
+    /**
+     * Render one zone row; index is the zone's position in the column's filtered list
+     */
+    function renderZoneRow(zone, index, type, total) {
+        const selected = getSelection(type);
+        const columnTypeId = getColumnTypeId(type);
+        const itemClass = type === 'yardmove' ? 'yard-move-zone' : (type === 'regular' ? '' : 'managed-type-zone');
+        const isTabStop = index === Math.min(focusedRowIndex[type] || 0, total - 1);
+        const actionLabel = getRowActionLabel(type);
+        const readOnly = !!getReadOnlyReason();
+        
+        return `
+            <div class="zone-item ${itemClass} ${selected.has(zone.id) ? 'selected' : ''} ${zone.id === previewZoneId ? 'previewing' : ''} ${isRemotelyChanged(zone.id) ? 'remote-changed' : ''} ${zoneErrors.has(zone.id) ? 'has-error' : ''} ${getQueuedMoves(zone.id).length > 0 ? 'pending-move' : ''}" 
+                 draggable="${getReadOnlyReason() ? 'false' : 'true'}" 
+                 ondragstart="drag(event)" 
+                 ondragend="dragEnd()" 
+                 onclick="previewZone('${zone.id}')" 
+                 onkeydown="zoneRowKeydown(event, '${type}', ${index})" 
+                 onfocus="zoneRowFocus('${type}', ${index})" 
+                 role="listitem" 
+                 tabindex="${isTabStop ? 0 : -1}" 
+                 aria-posinset="${index + 1}" 
+                 aria-setsize="${total}" 
+                 aria-label="${escapeHtml(zone.name)}${selected.has(zone.id) ? `, ${t('selected')}` : ''}${zoneErrors.has(zone.id) ? `, ${t('error')}` : ''}${getQueuedMoves(zone.id).length > 0 ? `, ${t('waiting to be saved')}` : ''}" 
+                 aria-describedby="${readOnly ? '' : 'zoneRowHint'}" 
+                 data-index="${index}" 
+                 data-zone-id="${zone.id}"
+                 data-zone-name="${escapeHtml(zone.name)}"
+                 data-current-type="${type}">
+                <div class="d-flex justify-content-between align-items-center">
+                    <div class="d-flex align-items-center zone-item-body">
+                        <input type="checkbox" class="form-check-input zone-select me-3"
+                               tabindex="-1" aria-label="${escapeHtml(t('Select {name}', { name: zone.name }))}"
+                               ${selected.has(zone.id) ? 'checked' : ''}
+                               onclick="toggleZoneSelection(event, '${type}', ${index})">
+                        <div class="zone-item-details">
+                            <strong>${escapeHtml(zone.name)}</strong>
+                            <small class="d-block opacity-75">${t('ID: {id}', { id: zone.id })}</small>
+                            ${zoneErrors.has(zone.id) ? `
+                                <div class="zone-error">
+                                    <i class="fas fa-exclamation-circle me-1"></i>${escapeHtml(zoneErrors.get(zone.id))}
+                                    <button type="button" class="btn-close btn-close-white zone-error-dismiss" aria-label="${t('Dismiss error')}"
+                                            onclick="clearZoneError(event, '${zone.id}')"></button>
+                                </div>
+                            ` : ''}
+                            <div class="zone-meta">
+                                ${renderTypeChips(zone, columnTypeId)}
+                                ${renderGeometryBadges(zone, type)}
+                                ${renderDesignationBadge(zone, type)}
+                                ${renderPendingBadge(zone)}
+                                ${(zone.groups || []).length > 0 ? `
+                                    <div class="zone-groups">
+                                        ${zone.groups.map(g => `<span class="badge group-badge">${escapeHtml(getGroupName(g.id))}</span>`).join('')}
+                                    </div>
+                                ` : ''}
+                            </div>
+                        </div>
+                    </div>
+                    <div class="d-flex align-items-center gap-2 flex-shrink-0">
+                        <button type="button" class="btn btn-sm zone-move-btn requires-edit" tabindex="-1"
+                                title="${actionLabel}" aria-label="${escapeHtml(`${actionLabel}: ${zone.name}`)}"
+                                onclick="moveZoneRow(event, '${type}', '${zone.id}')">
+                            <i class="fas ${type === 'regular' ? 'fa-arrow-right' : 'fa-arrow-left'}"></i>
+                        </button>
+                        <i class="fas fa-grip-vertical" aria-hidden="true"></i>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Get the filtered zone list shown in a column
+     */
+    function getFilteredZones(type) {
+        if (type === 'regular') return filteredRegularZones;
+        if (type === 'yardmove') return filteredYardMoveZones;
+        return filteredTypeZones[type] || [];
+    }
+
+    /**
+     * Get the selected zone ids of a column
+     */
+    function getSelection(type) {
+        if (!selectedZoneIds[type]) {
+            selectedZoneIds[type] = new Set();
+            lastSelectedIndex[type] = null;
+        }
+        return selectedZoneIds[type];
+    }
+
+    /**
+     * Render chips for the managed zone types a zone belongs to, other than the column's own type
+     */
+    function renderTypeChips(zone, columnTypeId) {
+        const chips = [yardMoveTypeId, ...managedTypeIds]
+            .filter(typeId => typeId && typeId !== columnTypeId && hasZoneType(zone, typeId))
+            .map(typeId => `<span class="badge type-chip ${typeId === yardMoveTypeId ? 'yard-move' : ''}">${escapeHtml(getZoneTypeName(typeId))}</span>`);
+        
+        return chips.length > 0 ? `<div class="zone-type-chips">${chips.join('')}</div>` : '';
+    }
+
+    /**
+     * Sync the "select all filtered" checkbox, selected count and move button of a column
+     */
+    function updateSelectionControls(type) {
+        const prefix = getColumnPrefix(type);
+        const selected = getSelection(type);
+        const filtered = getFilteredZones(type);
+        const selectedInFilter = filtered.filter(zone => selected.has(zone.id)).length;
+
+        const selectAll = document.getElementById(`${prefix}SelectAll`);
+        if (selectAll) {
+            selectAll.checked = filtered.length > 0 && selectedInFilter === filtered.length;
+            selectAll.indeterminate = selectedInFilter > 0 && selectedInFilter < filtered.length;
+        }
+
+        const selectedCount = document.getElementById(`${prefix}SelectedCount`);
+        if (selectedCount) {
+            selectedCount.textContent = formatNumber(selected.size);
+        }
+
+        const moveBtn = document.getElementById(`${prefix}MoveBtn`);
+        if (moveBtn) {
+            moveBtn.disabled = selected.size === 0 || bulkMoveInProgress;
+        }
+    }
+
+    /**
+     * Show empty state message
+     */
+    function showEmptyState(containerId, type) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+        
+        const typeName = type === 'regular' ? '' : getZoneTypeName(getColumnTypeId(type));
+        
+        stopVirtualList(containerId);
+        container.innerHTML = `
+            <div class="empty-state">
+                <i class="fas fa-inbox"></i>
+                <p>${escapeHtml(type === 'regular' ? t('No regular zones available') : t('No {type} available', { type: typeName.toLowerCase() }))}</p>
+                <small>${escapeHtml(type === 'regular' ? t('Drag zones here to remove them from their zone type') : t('Drag zones here to add to {type}', { type: typeName }))}</small>
+            </div>
+        `;
+    }
+
+    /**
+     * Update zone counts
+     */
+    function updateCounts() {
+        getColumnKeys().forEach(key => {
+            const countEl = document.getElementById(`${getColumnPrefix(key)}Count`);
+            if (countEl) {
+                countEl.textContent = tn(getColumnZones(key).length, '{shown} of {count} zone', '{shown} of {count} zones', {
+                    shown: formatNumber(getFilteredZones(key).length)
+                });
+            }
+        });
+    }
+
+    /**
+     * Handle drag start
+     */
+    window.drag = function(event) {
+        const zoneId = event.target.dataset.zoneId;
+        const zoneName = event.target.dataset.zoneName;
+        const currentType = event.target.dataset.currentType;
+        
+        // Dragging a selected zone carries the whole selection of its column
+        const selected = getSelection(currentType);
+        const zoneIds = selected.has(zoneId) ? [...selected] : [zoneId];
+        draggedZoneIds = new Set(zoneIds);
+        
+        event.dataTransfer.setData('text/plain', JSON.stringify({
+            zoneId: zoneId,
+            zoneName: zoneName,
+            zoneIds: zoneIds,
+            currentType: currentType
+        }));
+    };
+
+    /**
+     * Forget the dragged zones once a drag ends, and show remote changes held back during it
+     */
+    window.dragEnd = function() {
+        draggedZoneIds = new Set();
+        if (feedRenderPending) {
+            renderFeedChanges();
+        }
+    };
+
+    /**
+     * Allow drop
+     */
+    window.allowDrop = function(event) {
+        event.preventDefault();
+    };
+
+    /**
+     * Handle drag enter
+     */
+    window.dragEnter = function(event) {
+        event.preventDefault();
+        event.currentTarget.classList.add('drag-over');
+    };
+
+    /**
+     * Handle drag leave
+     */
+    window.dragLeave = function(event) {
+        // Only remove the class if we're leaving the container itself, not a child
+        if (!event.currentTarget.contains(event.relatedTarget)) {
+            event.currentTarget.classList.remove('drag-over');
+        }
+    };
+
+    /**
+     * Handle drop
+     */
+    window.drop = async function(event, targetType) {
+        event.preventDefault();
+        event.currentTarget.classList.remove('drag-over');
+        
+        const data = JSON.parse(event.dataTransfer.getData('text/plain'));
+        const { zoneId, currentType } = data;
+        window.dragEnd();
+        
+        // Don't do anything if dropping in the same container
+        if (currentType === targetType) {
+            return;
+        }
+        
+        const change = getDropChange(currentType, targetType);
+        const results = await moveBoardZones(data.zoneIds || [zoneId], change);
+        if (results) {
+            announceMoveResults(results, change);
+        }
+    };
+
+    /**
+     * Work out the zone type change for a drag between columns. Dropping on the regular column
+     * removes the source column's type; dropping on a type column adds that type, and zones keep
+     * any other types they already have.
+     */
+    function getDropChange(sourceType, targetType) {
+        if (targetType === 'regular') {
+            return { typeId: getColumnTypeId(sourceType), add: false };
+        }
+        return { typeId: getColumnTypeId(targetType), add: true };
+    }
+
+    /**
+     * Move the selected zones of a column: regular zones are added to Yard Move Zones, zones in a
+     * type column are removed from that type
+     */
+    window.moveSelectedZones = async function(sourceType) {
+        const change = getRowChange(sourceType);
+        const results = await moveBoardZones([...getSelection(sourceType)], change);
+        if (results) {
+            announceMoveResults(results, change);
+        }
+    };
+
+    /**
+     * Toggle a zone's selection; shift-click selects or clears the range from the last clicked row
+     */
+    window.toggleZoneSelection = function(event, type, index) {
+        event.stopPropagation();
+        
+        const zones = getFilteredZones(type);
+        const zone = zones[index];
+        if (!zone) return;
+        
+        const selected = getSelection(type);
+        const select = !selected.has(zone.id);
+        const anchor = lastSelectedIndex[type];
+        
+        if (event.shiftKey && anchor !== null && anchor < zones.length) {
+            const from = Math.min(anchor, index);
+            const to = Math.max(anchor, index);
+            for (let i = from; i <= to; i++) {
+                if (select) {
+                    selected.add(zones[i].id);
+                } else {
+                    selected.delete(zones[i].id);
+                }
+            }
+        } else if (select) {
+            selected.add(zone.id);
+        } else {
+            selected.delete(zone.id);
+        }
+        
+        lastSelectedIndex[type] = index;
+        renderZoneList(`${getColumnPrefix(type)}ZonesList`, zones, type);
+    };
+
+    /**
+     * Show a zone in the preview pane
+     */
+    window.previewZone = function(zoneId) {
+        if (zoneId !== previewZoneId) {
+            const historyEl = document.getElementById('previewHistory');
+            if (historyEl) historyEl.innerHTML = '';
+        }
+        previewZoneId = zoneId;
+        renderZones();
+        
+        const previewEl = document.getElementById('zonePreview');
+        if (previewEl && previewEl.scrollIntoView) {
+            previewEl.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        }
+    };
+
+    /**
+     * Close the preview pane
+     */
+    window.closeZonePreview = function() {
+        previewZoneId = null;
+        renderZones();
+    };
+
+    /**
+     * Select or clear every zone matching the current search of a column
+     */
+    window.toggleSelectAll = function(type, checked) {
+        const selected = getSelection(type);
+        
+        getFilteredZones(type).forEach(zone => {
+            if (checked) {
+                selected.add(zone.id);
+            } else {
+                selected.delete(zone.id);
+            }
+        });
+        
+        lastSelectedIndex[type] = null;
+        renderZoneList(`${getColumnPrefix(type)}ZonesList`, getFilteredZones(type), type);
+    };
+
+    /**
+     * Move a zone between the local arrays to match its saved zoneTypes
+     */
+    function applySavedZone(savedZone) {
+        const zone = findZone(savedZone.id);
+        if (!zone) return;
+        
+        zone.zoneTypes = savedZone.zoneTypes || [];
+        
+        const isYardMove = hasZoneType(zone, yardMoveTypeId);
+        const source = isYardMove ? regularZones : yardMoveZones;
+        const target = isYardMove ? yardMoveZones : regularZones;
+        const zoneIndex = source.indexOf(zone);
+        if (zoneIndex !== -1) {
+            source.splice(zoneIndex, 1);
+            target.push(zone);
+        }
+    }
+
+    /**
+     * Find a zone's name in the local lists
+     */
+    function getZoneName(zoneId) {
+        const zone = findZone(zoneId);
+        return zone ? zone.name : zoneId;
+    }
+
+    /**
+     * Show or update the bulk move progress bar
+     */
+    function updateBulkProgress(done, total, text = `${done} of ${total} zones processed`) {
+        const progressEl = document.getElementById('bulkProgress');
+        if (!progressEl) return;
+        
+        if (total === null) {
+            progressEl.style.display = 'none';
+            return;
+        }
+        
+        // Without a known total (0), the bar stays full and animated
+        const percent = total > 0 ? Math.round(done / total * 100) : 100;
+        progressEl.style.display = 'block';
+        progressEl.querySelector('.progress-bar').style.width = `${percent}%`;
+        progressEl.querySelector('.bulk-progress-text').textContent = text;
+    }
+
+    /**
+     * Show the per-zone outcome of a bulk move
+     */
+    function showBulkSummary(results, change) {
+        const summaryEl = document.getElementById('bulkSummary');
+        if (!summaryEl) return;
+        
+        const succeeded = results.filter(r => !r.error);
+        const failed = results.filter(r => r.error && !r.queued);
+        const queued = results.filter(r => r.queued);
+        const typeName = getZoneTypeName(change.typeId);
+        const params = { done: formatNumber(succeeded.length), type: typeName };
+        const headline = change.add
+            ? tn(results.length, '{done} of {count} zone added to {type}', '{done} of {count} zones added to {type}', params)
+            : tn(results.length, '{done} of {count} zone removed from {type}', '{done} of {count} zones removed from {type}', params);
+        
+        const warned = results.filter(r => r.warnings);
+        
+        const failedHtml = failed.map(r => `
+            <li><strong>${escapeHtml(getZoneName(r.zoneId))}</strong>: ${escapeHtml(describeZoneError(r.error))}</li>
+        `).join('');
+        const queuedHtml = queued.map(r => `
+            <li><strong>${escapeHtml(getZoneName(r.zoneId))}</strong>: ${escapeHtml(describeZoneError(r.error))}</li>
+        `).join('');
+        const warnedHtml = warned.map(r => `
+            <li><strong>${escapeHtml(getZoneName(r.zoneId))}</strong>: ${escapeHtml(r.warnings.map(issue => issue.message).join('; '))}</li>
+        `).join('');
+        
+        summaryEl.className = `bulk-summary ${failed.length > 0 ? 'has-failures' : (warned.length > 0 ? 'has-warnings' : '')}`;
+        summaryEl.innerHTML = `
+            <div class="d-flex justify-content-between align-items-start">
+                <div>
+                    <strong>${escapeHtml(headline)}</strong>
+                    ${failed.length > 0 ? `<div class="small mt-1">${t('{count} failed:', { count: formatNumber(failed.length) })}</div><ul class="small mb-0">${failedHtml}</ul>` : ''}
+                    ${queued.length > 0 ? `<div class="small mt-1">${t('{count} waiting to be retried:', { count: formatNumber(queued.length) })}</div><ul class="small mb-0">${queuedHtml}</ul>` : ''}
+                    ${warned.length > 0 ? `<div class="small mt-1">${t('{count} saved with geometry warnings:', { count: formatNumber(warned.length) })}</div><ul class="small mb-0">${warnedHtml}</ul>` : ''}
+                </div>
+                <button type="button" class="btn-close" aria-label="${t('Close')}" onclick="dismissBulkSummary()"></button>
+            </div>
+        `;
+        summaryEl.style.display = 'block';
+    }
+
+    /**
+     * Hide the bulk move summary
+     */
+    window.dismissBulkSummary = function() {
+        const summaryEl = document.getElementById('bulkSummary');
+        if (summaryEl) {
+            summaryEl.style.display = 'none';
+        }
+    };
+
+    /**
+     * Get the change that reverses a zone type change
+     */
+    function reverseChange(change) {
+        return { typeId: change.typeId, add: !change.add };
+    }
+
+    /**
+     * Describe a history entry for button tooltips
+     */
+    function describeHistoryEntry(entry) {
+        const subject = entry.changes.length === 1
+            ? `"${entry.changes[0].zoneName}"`
+            : tn(entry.changes.length, '{count} zone', '{count} zones');
+        const typeName = getZoneTypeName(entry.change.typeId);
+        return entry.change.add
+            ? t('add {zones} to {type}', { zones: subject, type: typeName })
+            : t('remove {zones} from {type}', { zones: subject, type: typeName });
+    }
+
+    /**
+     * Sync the undo/redo buttons with the history stacks
+     */
+    function updateHistoryControls() {
+        const controls = [
+            { id: 'undoBtn', stack: undoStack, label: t('Undo'), emptyLabel: t('Nothing to undo') },
+            { id: 'redoBtn', stack: redoStack, label: t('Redo'), emptyLabel: t('Nothing to redo') }
+        ];
+
+        controls.forEach(({ id, stack, label, emptyLabel }) => {
+            const button = document.getElementById(id);
+            if (!button) return;
+
+            const entry = stack[stack.length - 1];
+            button.disabled = !entry || bulkMoveInProgress;
+            button.title = entry ? `${label}: ${describeHistoryEntry(entry)}` : emptyLabel;
+        });
+    }
+
+    /**
+     * Record the zones a move actually changed. New moves clear the redo stack; undoing
+     * feeds the redo stack and redoing feeds the undo stack.
+     */
+    function recordHistory(results, change, historyMode) {
+        // Scheduled additions and expiries are not the user's own changes to undo
+        if (historyMode === 'schedule' || historyMode === 'expiry') {
+            return;
+        }
+
+        const changes = results
+            .filter(r => !r.error && r.changed)
+            .map(r => ({
+                zoneId: r.zoneId,
+                zoneName: r.zone.name,
+                priorZoneTypes: r.priorZoneTypes,
+                zoneTypes: r.zone.zoneTypes || []
+            }));
+
+        if (changes.length === 0) {
+            return;
+        }
+
+        if (historyMode === 'undo') {
+            // Stored in the direction it will be redone
+            redoStack.push({
+                change: reverseChange(change),
+                changes: changes.map(c => ({ ...c, priorZoneTypes: c.zoneTypes, zoneTypes: c.priorZoneTypes }))
+            });
+            return;
+        }
+
+        undoStack.push({ change: change, changes: changes });
+        if (undoStack.length > MAX_HISTORY) {
+            undoStack.shift();
+        }
+        if (historyMode === 'record') {
+            redoStack.length = 0;
+        }
+    }
+
+    /**
+     * Replay the newest entry of a history stack in the given direction. Every zone is fetched
+     * fresh and only the entry's zone type is toggled, so later edits to the zone are kept.
+     * Zones that fail stay on the stack to be retried.
+     */
+    async function replayHistory(stack, historyMode) {
+        if (bulkMoveInProgress || stack.length === 0) {
+            return;
+        }
+
+        const entry = stack.pop();
+        const change = historyMode === 'undo' ? reverseChange(entry.change) : entry.change;
+        const results = await moveZonesTo(entry.changes.map(c => c.zoneId), change, historyMode);
+
+        if (!results) {
+            stack.push(entry);
+        } else {
+            const failedIds = new Set(results.filter(r => r.error).map(r => r.zoneId));
+            if (failedIds.size > 0) {
+                stack.push({ ...entry, changes: entry.changes.filter(c => failedIds.has(c.zoneId)) });
+            }
+        }
+        updateHistoryControls();
+    }
+
+    /**
+     * Undo the last classification change
+     */
+    window.undoZoneChange = function() {
+        return replayHistory(undoStack, 'undo');
+    };
+
+    /**
+     * Redo the last undone classification change
+     */
+    window.redoZoneChange = function() {
+        return replayHistory(redoStack, 'redo');
+    };
+
+    /**
+     * Move zones the user dragged or moved on the board. Zones added to Yard Move Zones take the
+     * period set in that column, which applies to this move only, so its inputs are cleared once read.
+     */
+    async function moveBoardZones(zoneIds, change) {
+        let period = null;
+        if (zoneIds.length > 0 && change.add && change.typeId === yardMoveTypeId) {
+            try {
+                period = readDesignationPeriod('designationStart', 'designationEnd');
+            } catch (error) {
+                showAlert(error.message, 'warning');
+                return null;
+            }
+            document.getElementById('designationStart').value = '';
+            document.getElementById('designationEnd').value = '';
+        }
+        return moveZonesTo(zoneIds, change, 'record', period);
+    }
+
+    /**
+     * Add or remove a zone type ({ typeId, add }) on a set of zones and update the board.
+     * historyMode is 'record' for new changes, 'undo'/'redo' when replaying history, or
+     * 'schedule'/'expiry' when a designation period starts or ends. Additions to Yard Move Zones
+     * with a period ({ startsAt, endsAt }) get a designation; a period that starts later only
+     * schedules the zones, and loadZones adds them once it has started.
+     * Resolves with the per-zone results, or null if the move did not run.
+     */
+    async function moveZonesTo(zoneIds, change, historyMode = 'record', period = null) {
+        if (zoneIds.length === 0) {
+            return null;
+        }
+        if (bulkMoveInProgress) {
+            showAlert(t('Another move is still in progress'), 'warning');
+            return null;
+        }
+        if (getReadOnlyReason()) {
+            showAlert(getReadOnlyReason(), 'warning');
+            return null;
+        }
+        
+        const subject = zoneIds.length === 1 ? `"${getZoneName(zoneIds[0])}"` : tn(zoneIds.length, '{count} zone', '{count} zones');
+        const typeName = getZoneTypeName(change.typeId);
+        const params = { zones: subject, type: typeName };
+        
+        if (period && period.startsAt && period.startsAt > new Date()) {
+            await scheduleYardMoveZones(zoneIds, period, subject);
+            return null;
+        }
+        
+        bulkMoveInProgress = true;
+        getColumnKeys().forEach(updateSelectionControls);
+        updateHistoryControls();
+        
+        try {
+            showAlert(change.add ? t('Adding {zones} to {type}...', params) : t('Removing {zones} from {type}...', params), 'info');
+            
+            if (zoneIds.length > 1) {
+                updateBulkProgress(0, zoneIds.length);
+            }
+            
+            // Geometry checks on zones going into Yard Move Zones: blocked zones are reported as
+            // failures without being saved, warnings travel with the saved results
+            let problems = new Map();
+            let allowedIds = zoneIds;
+            if (change.add && change.typeId === yardMoveTypeId) {
+                problems = validateYardMoveAdditions(zoneIds.map(findZone).filter(zone => zone && !yardMoveZones.includes(zone)));
+                if (geometryPolicy.mode === 'block') {
+                    allowedIds = zoneIds.filter(id => !problems.has(id));
+                }
+            }
+            const blockedResults = zoneIds
+                .filter(id => !allowedIds.includes(id))
+                .map(id => ({
+                    zoneId: id,
+                    error: new Error(t('Blocked by geometry policy: {issues}', { issues: problems.get(id).map(issue => issue.message).join('; ') }))
+                }));
+            
+            const savedResults = allowedIds.length > 0
+                ? await moveZones(allowedIds, change, (done, total) => {
+                    if (zoneIds.length > 1) {
+                        updateBulkProgress(done + blockedResults.length, zoneIds.length);
+                    }
+                })
+                : [];
+            savedResults.forEach(r => {
+                if (!r.error && problems.has(r.zoneId)) {
+                    r.warnings = problems.get(r.zoneId);
+                }
+            });
+            const results = [...blockedResults, ...savedResults];
+            
+            recordHistory(results, change, historyMode);
+            recordAudit(results, change, historyMode);
+            
+            // Zones that couldn't reach MyGeotab wait in the queue; a saved change replaces any
+            // queued one for the same zone and type
+            queueMoves(results, change, period);
+            dequeueMoves(results.filter(r => !r.error).map(r => r.zoneId), change.typeId);
+            await rebaseQueuedMoves(results.filter(r => !r.error && r.changed).map(r => r.zoneId));
+            
+            // Failed zones keep an error on their row until a later save succeeds
+            results.forEach(r => {
+                if (r.error && !r.queued) {
+                    zoneErrors.set(r.zoneId, describeZoneError(r.error));
+                } else {
+                    zoneErrors.delete(r.zoneId);
+                }
+            });
+            
+            // Move saved zones between arrays and drop them from the selection
+            results.filter(r => !r.error).forEach(r => {
+                applySavedZone(r.zone);
+                Object.values(selectedZoneIds).forEach(selected => selected.delete(r.zoneId));
+            });
+            Object.keys(lastSelectedIndex).forEach(key => {
+                lastSelectedIndex[key] = null;
+            });
+            publishZoneChanges(results.filter(r => !r.error && r.changed).map(r => r.zone));
+            updateDesignationsAfterMove(results, change, historyMode, period);
+            
+            // Clear search boxes to show all zones
+            getColumnKeys().forEach(key => {
+                const searchInput = document.getElementById(`${getColumnPrefix(key)}Search`);
+                if (searchInput) searchInput.value = '';
+            });
+            
+            // Update filtered arrays (the group facets still apply) and re-render
+            refreshFilteredZones();
+            auditYardMoveZones();
+            
+            renderZones();
+            
+            const failed = results.filter(r => r.error && !r.queued);
+            const queued = results.filter(r => r.queued);
+            const warned = results.filter(r => r.warnings);
+            results.filter(r => r.error).forEach(r => {
+                console.error(`Error updating zone ${r.zoneId}:`, r.error);
+            });
+            
+            if (queued.length > 0) {
+                showAlert(tn(queued.length, '{count} change could not reach MyGeotab and will be retried', '{count} changes could not reach MyGeotab and will be retried'), 'warning');
+            }
+            if (failed.length === 0 && queued.length === 0) {
+                showAlert(change.add ? t('Successfully added {zones} to {type}', params) : t('Successfully removed {zones} from {type}', params), 'success');
+            } else if (failed.length > 0 && results.length === 1) {
+                showAlert(t('Could not update {zones}: {error}', { zones: subject, error: describeZoneError(failed[0].error) }), 'danger');
+            } else if (failed.length > 0) {
+                showAlert(tn(results.length, '{failed} of {count} zone could not be updated', '{failed} of {count} zones could not be updated', {
+                    failed: formatNumber(failed.length)
+                }), 'danger');
+            }
+            
+            if (warned.length > 0) {
+                showAlert(tn(warned.length, '{count} zone was added with geometry warnings', '{count} zones were added with geometry warnings'), 'warning');
+            }
+            
+            if (results.length > 1 || warned.length > 0) {
+                showBulkSummary(results, change);
+            }
+            
+            return results;
+            
+        } catch (error) {
+            console.error('Error updating zones:', error);
+            showAlert(t('Error updating zones: {message}', { message: error.message }), 'danger');
+            return null;
+        } finally {
+            bulkMoveInProgress = false;
+            updateBulkProgress(0, null);
+            getColumnKeys().forEach(updateSelectionControls);
+            updateHistoryControls();
+        }
+    }
+
+    /**
+     * Check whether a failed save is worth retrying later: the network dropped or timed out, or
+     * MyGeotab is throttling or briefly unavailable
+     */
+    function isTransientError(error) {
+        if (!error) return false;
+        if (typeof navigator !== 'undefined' && navigator.onLine === false) return true;
+        const text = `${error.name || ''} ${error.message || error}`;
+        return /OverLimit|rate limit|too many requests|throttl|network|failed to fetch|timed? ?out|offline|service unavailable|\b50[234]\b/i.test(text);
+    }
+
+    /**
+     * Get the localStorage key holding the queued moves of the current database
+     */
+    function getMoveQueueStorageKey() {
+        return `yardMoveZones.moveQueue.${databaseName || 'default'}`;
+    }
+
+    /**
+     * Read the queued moves of the current database
+     */
+    function loadMoveQueue() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(getMoveQueueStorageKey()) || '[]');
+            moveQueue = Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            console.warn('Could not read queued moves:', error);
+            moveQueue = [];
+        }
+    }
+
+    /**
+     * Remember the queued moves of the current database
+     */
+    function saveMoveQueue() {
+        try {
+            if (moveQueue.length > 0) {
+                localStorage.setItem(getMoveQueueStorageKey(), JSON.stringify(moveQueue));
+            } else {
+                localStorage.removeItem(getMoveQueueStorageKey());
+            }
+        } catch (error) {
+            console.warn('Could not save queued moves:', error);
+        }
+    }
+
+    /**
+     * Get the delay before the next try of a move that has failed this many times
+     */
+    function getMoveRetryDelay(attempts) {
+        return Math.min(MOVE_RETRY_BASE_MS * Math.pow(2, Math.max(attempts - 1, 0)), MOVE_RETRY_MAX_MS);
+    }
+
+    /**
+     * Queue the zones of a move that failed transiently, flagging their results as queued, with
+     * the zone version the move was made against. A zone has at most one queued change per zone
+     * type, the latest one.
+     */
+    function queueMoves(results, change, period) {
+        const failed = results.filter(r => r.error && isTransientError(r.error));
+        if (failed.length === 0) return;
+
+        const now = Date.now();
+        failed.forEach(r => {
+            r.queued = true;
+            const zone = findZone(r.zoneId);
+            moveQueue = moveQueue.filter(entry => entry.zoneId !== r.zoneId || entry.typeId !== change.typeId);
+            moveQueue.push({
+                zoneId: r.zoneId,
+                version: r.version || (zone ? zone.version : null),
+                typeId: change.typeId,
+                add: change.add,
+                startsAt: period && period.startsAt ? period.startsAt.toISOString() : null,
+                endsAt: period && period.endsAt ? period.endsAt.toISOString() : null,
+                attempts: 1,
+                nextAttemptAt: now + getMoveRetryDelay(1),
+                lastError: describeZoneError(r.error)
+            });
+        });
+        saveMoveQueue();
+        renderMoveQueue();
+        scheduleMoveQueue();
+    }
+
+    /**
+     * Drop the queued changes of these zones to one zone type
+     */
+    function dequeueMoves(zoneIds, typeId) {
+        const ids = new Set(zoneIds);
+        const remaining = moveQueue.filter(entry => !(ids.has(entry.zoneId) && entry.typeId === typeId));
+        if (remaining.length === moveQueue.length) return;
+
+        moveQueue = remaining;
+        saveMoveQueue();
+        renderMoveQueue();
+    }
+
+    /**
+     * Bring the versions of the queued changes of these zones up to date after this session saved
+     * them, so only changes made elsewhere count as conflicts when they are replayed
+     */
+    async function rebaseQueuedMoves(zoneIds) {
+        const queuedIds = zoneIds.filter(id => getQueuedMoves(id).length > 0);
+        if (queuedIds.length === 0) return;
+
+        try {
+            const current = await fetchZonesById(queuedIds);
+            moveQueue.forEach(entry => {
+                const zone = current.get(entry.zoneId);
+                if (zone) {
+                    entry.version = zone.version;
+                }
+            });
+            saveMoveQueue();
+        } catch (error) {
+            console.warn('Could not update the versions of queued moves:', error);
+        }
+    }
+
+    /**
+     * Get the queued changes of a zone
+     */
+    function getQueuedMoves(zoneId) {
+        return moveQueue.filter(entry => entry.zoneId === zoneId);
+    }
+
+    /**
+     * Render the pending badge of a zone with queued changes
+     */
+    function renderPendingBadge(zone) {
+        return getQueuedMoves(zone.id).map(entry => {
+            const typeName = getZoneTypeName(entry.typeId);
+            const label = entry.add
+                ? t('Waiting to add to {type}', { type: typeName })
+                : t('Waiting to remove from {type}', { type: typeName });
+            const title = t('{error}. Next try {time}.', { error: entry.lastError, time: formatCountdown(new Date(entry.nextAttemptAt)) });
+            return `<span class="badge pending-badge" title="${escapeHtml(title)}"><i class="fas fa-clock me-1"></i>${escapeHtml(label)}</span>`;
+        }).join('');
+    }
+
+    /**
+     * Show or hide the notice about queued changes
+     */
+    function renderMoveQueue() {
+        const noticeEl = document.getElementById('moveQueueNotice');
+        if (!noticeEl) return;
+
+        noticeEl.style.display = moveQueue.length > 0 ? 'block' : 'none';
+        if (moveQueue.length === 0) return;
+
+        const nextAttemptAt = moveQueue.reduce((earliest, entry) => Math.min(earliest, entry.nextAttemptAt), Infinity);
+        document.getElementById('moveQueueMessage').textContent =
+            `${tn(moveQueue.length, '{count} change is waiting to be saved to MyGeotab.', '{count} changes are waiting to be saved to MyGeotab.')} ${t('Next try {time}.', { time: formatCountdown(new Date(nextAttemptAt)) })}`;
+    }
+
+    /**
+     * Wake up for the earliest queued retry
+     */
+    function scheduleMoveQueue() {
+        clearTimeout(moveQueueTimer);
+        moveQueueTimer = null;
+        renderMoveQueue();
+        if (moveQueue.length === 0) return;
+
+        const nextAttemptAt = moveQueue.reduce((earliest, entry) => Math.min(earliest, entry.nextAttemptAt), Infinity);
+        moveQueueTimer = setTimeout(() => {
+            moveQueueTimer = null;
+            processMoveQueue(false);
+        }, Math.max(nextAttemptAt - Date.now(), 0));
+    }
+
+    /**
+     * Stop waiting for queued retries, while the add-in is out of view
+     */
+    function stopMoveQueue() {
+        clearTimeout(moveQueueTimer);
+        moveQueueTimer = null;
+    }
+
+    /**
+     * Replay the queued changes that are due, or all of them when forced. Each zone is read again
+     * first: changes that already hold on the server are dropped, and so are zones that were
+     * deleted. A zone whose version moved on since its change was queued was changed elsewhere
+     * meanwhile, so the change is reported on its row instead of replayed. Changes that fail
+     * transiently again wait twice as long; other failures are shown on the zone's row.
+     */
+    async function processMoveQueue(force) {
+        if (moveQueue.length === 0 || getReadOnlyReason() || !yardMoveTypeId) return;
+        if (bulkMoveInProgress) {
+            // Try again once the move in progress is done
+            stopMoveQueue();
+            moveQueueTimer = setTimeout(() => processMoveQueue(force), MOVE_RETRY_BASE_MS);
+            return;
+        }
+
+        const now = Date.now();
+        const due = moveQueue.filter(entry => force || entry.nextAttemptAt <= now);
+        if (due.length === 0) {
+            scheduleMoveQueue();
+            return;
+        }
+
+        // Replay changes with the same type, direction and period together
+        const groups = new Map();
+        due.forEach(entry => {
+            const key = JSON.stringify([entry.typeId, entry.add, entry.startsAt, entry.endsAt]);
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(entry);
+        });
+
+        const retryLater = (entry, error) => {
+            entry.attempts++;
+            entry.nextAttemptAt = Date.now() + getMoveRetryDelay(entry.attempts);
+            entry.lastError = describeZoneError(error);
+        };
+
+        bulkMoveInProgress = true;
+        getColumnKeys().forEach(updateSelectionControls);
+        updateHistoryControls();
+
+        let saved = 0;
+        let failed = 0;
+        let conflicts = 0;
+        try {
+            let current;
+            try {
+                current = await fetchZonesById([...new Set(due.map(entry => entry.zoneId))]);
+            } catch (error) {
+                console.warn('Could not read the zones of queued moves:', error);
+                due.forEach(entry => retryLater(entry, error));
+                return;
+            }
+            // A zone changed elsewhere since its change was queued is left as it is, unless the
+            // change already holds there and nothing would be replayed anyway
+            due.forEach(entry => {
+                const zone = current.get(entry.zoneId);
+                const changedElsewhere = zone && entry.version && zone.version !== entry.version;
+                if (!changedElsewhere || !zoneTypeTransform(entry)(zone.zoneTypes || [])) return;
+                moveQueue = moveQueue.filter(queued => queued !== entry);
+                conflicts++;
+                zoneErrors.set(entry.zoneId, t('Changed by someone else while this change was waiting to be saved, so it was not saved'));
+            });
+
+            for (const group of groups.values()) {
+                const entries = group.filter(entry => moveQueue.includes(entry));
+                if (entries.length === 0) continue;
+
+                const change = { typeId: entries[0].typeId, add: entries[0].add };
+                const period = entries[0].startsAt || entries[0].endsAt
+                    ? { startsAt: entries[0].startsAt ? new Date(entries[0].startsAt) : null, endsAt: entries[0].endsAt ? new Date(entries[0].endsAt) : null }
+                    : null;
+                const results = await transformZones(entries.map(entry => entry.zoneId), zoneTypeTransform(change));
+                const resultsById = new Map(results.map(r => [r.zoneId, r]));
+
+                entries.forEach(entry => {
+                    const r = resultsById.get(entry.zoneId);
+                    if (r && r.error && isTransientError(r.error)) {
+                        retryLater(entry, r.error);
+                        return;
+                    }
+                    moveQueue = moveQueue.filter(queued => queued !== entry);
+                    if (r && r.error) {
+                        failed++;
+                        zoneErrors.set(entry.zoneId, describeZoneError(r.error));
+                    } else if (r) {
+                        saved++;
+                        zoneErrors.delete(entry.zoneId);
+                        applySavedZone(r.zone);
+                    }
+                });
+
+                const settled = results.filter(r => !(r.error && isTransientError(r.error)));
+                recordAudit(settled, change, 'retry');
+                publishZoneChanges(settled.filter(r => !r.error && r.changed).map(r => r.zone));
+                await updateDesignationsAfterMove(settled, change, 'retry', period);
+                await rebaseQueuedMoves(settled.filter(r => !r.error && r.changed).map(r => r.zoneId));
+            }
+        } catch (error) {
+            console.warn('Could not replay queued moves:', error);
+        } finally {
+            bulkMoveInProgress = false;
+            saveMoveQueue();
+            getColumnKeys().forEach(updateSelectionControls);
+            updateHistoryControls();
+            refreshFilteredZones();
+            auditYardMoveZones();
+            renderZones();
+            scheduleMoveQueue();
+        }
+
+        if (saved > 0) {
+            showAlert(tn(saved, 'Saved {count} queued change', 'Saved {count} queued changes'), 'success');
+        }
+        if (failed > 0) {
+            showAlert(tn(failed, '{count} queued change could not be saved', '{count} queued changes could not be saved'), 'danger');
+        }
+        if (conflicts > 0) {
+            showAlert(tn(conflicts, '{count} queued change was not saved because its zone was changed by someone else meanwhile', '{count} queued changes were not saved because their zones were changed by someone else meanwhile'), 'warning');
+        }
+    }
+
+    /**
+     * Retry every queued change now
+     */
+    window.retryQueuedMoves = function() {
+        stopMoveQueue();
+        return processMoveQueue(true);
+    };
+
+    /**
+     * Forget every queued change, leaving the zones as MyGeotab has them
+     */
+    window.discardQueuedMoves = function() {
+        moveQueue = [];
+        saveMoveQueue();
+        scheduleMoveQueue();
+        renderZones();
+    };
+
+    /**
+     * Clear search input and reset filtered zones
+     */
+    window.clearSearch = function(type) {
+        const searchInput = document.getElementById(`${getColumnPrefix(type)}Search`);
+        if (searchInput) {
+            searchInput.value = '';
+            filterZones(type);
+        }
+    };
+
+    /**
+     * Refresh zones data
+     */
+    window.refreshZones = async function() {
+        setButtonLoading('refreshBtn', true);
+        try {
+            await loadZones();
+        } finally {
+            setButtonLoading('refreshBtn', false);
+        }
+    };
+
+    /**
+     * Parse CSV text into rows of cells, handling quoted fields and escaped quotes
+     */
+    function parseCsv(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell !== '' || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        return rows.filter(r => r.some(c => c.trim() !== ''));
+    }
+
+    /**
+     * Read a yes/no style cell; empty cells count as yes since listing a zone means "make it a yard"
+     */
+    function parseImportFlag(value) {
+        const text = String(value === undefined || value === null ? '' : value).trim().toLowerCase();
+        if (text === '') return true;
+        return !['false', 'no', 'n', '0', 'regular', 'remove'].includes(text);
+    }
+
+    /**
+     * Turn an import file into { id, name, externalReference, yardMove } records.
+     * Accepts the exportZones JSON snapshot, a JSON array of records, or a CSV with a header row.
+     */
+    function parseImportFile(fileName, text) {
+        if (/\.json$/i.test(fileName) || /^\s*[[{]/.test(text)) {
+            const data = JSON.parse(text);
+            const toRecord = (zone, yardMove) => ({
+                id: zone.id || '',
+                name: zone.name || '',
+                externalReference: zone.externalReference || '',
+                yardMove: yardMove
+            });
+
+            if (Array.isArray(data)) {
+                return data.map(zone => toRecord(zone, parseImportFlag(zone.yardMove)));
+            }
+            if (data && (Array.isArray(data.yardMoveZones) || Array.isArray(data.regularZones))) {
+                return [
+                    ...(data.yardMoveZones || []).map(zone => toRecord(zone, true)),
+                    ...(data.regularZones || []).map(zone => toRecord(zone, false))
+                ];
+            }
+            throw new Error(t('JSON file is not a zones export or a list of zones'));
+        }
+
+        const rows = parseCsv(text);
+        if (rows.length < 2) {
+            throw new Error(t('CSV file has no zone rows'));
+        }
+
+        const header = rows[0].map(h => h.trim().toLowerCase().replace(/[\s_-]+/g, ''));
+        const column = names => header.findIndex(h => names.includes(h));
+        const idCol = column(['id', 'zoneid']);
+        const nameCol = column(['name', 'zonename']);
+        const refCol = column(['externalreference', 'reference']);
+        const yardCol = column(['yardmove', 'yardmovezone', 'yardmovezones']);
+
+        if (idCol === -1 && nameCol === -1 && refCol === -1) {
+            throw new Error(t('CSV needs a header row with an id, name or externalReference column'));
+        }
+
+        const cellAt = (row, col) => (col === -1 ? '' : (row[col] || '').trim());
+        return rows.slice(1).map(row => ({
+            id: cellAt(row, idCol),
+            name: cellAt(row, nameCol),
+            externalReference: cellAt(row, refCol),
+            yardMove: parseImportFlag(cellAt(row, yardCol))
+        }));
+    }
+
+    /**
+     * Match import records to loaded zones by ID, then externalReference, then exact name,
+     * and work out what applying them would change. Rows that match several zones, or that
+     * name the same zone but disagree on it, are ambiguous and leave those zones alone.
+     */
+    function buildImportPlan(records, removeUnlisted) {
+        const allZones = [...regularZones, ...yardMoveZones];
+        const indexBy = key => allZones.reduce((index, zone) => {
+            if (zone[key]) {
+                index.set(zone[key], [...(index.get(zone[key]) || []), zone]);
+            }
+            return index;
+        }, new Map());
+        const indexes = [
+            { key: 'id', index: indexBy('id') },
+            { key: 'externalReference', index: indexBy('externalReference') },
+            { key: 'name', index: indexBy('name') }
+        ];
+
+        const plan = { toAdd: [], toRemove: [], unmatched: [], ambiguous: [], unchanged: 0 };
+        const matchesByZone = new Map();
+        const ambiguousZoneIds = new Set();
+
+        records.forEach(record => {
+            const level = indexes.find(({ key, index }) => record[key] && index.has(record[key]));
+            if (!level) {
+                plan.unmatched.push(record);
+                return;
+            }
+
+            const zones = level.index.get(record[level.key]);
+            if (zones.length > 1) {
+                plan.ambiguous.push({ record: record, matchedBy: level.key, zones: zones });
+                zones.forEach(zone => ambiguousZoneIds.add(zone.id));
+                return;
+            }
+
+            const matches = matchesByZone.get(zones[0].id) || [];
+            matchesByZone.set(zones[0].id, [...matches, { zone: zones[0], record: record, matchedBy: level.key }]);
+        });
+
+        const wanted = new Map();
+        matchesByZone.forEach((matches, zoneId) => {
+            if (matches.some(match => match.record.yardMove !== matches[0].record.yardMove)) {
+                matches.forEach(match => plan.ambiguous.push({ ...match, zones: [match.zone], conflicting: true }));
+                ambiguousZoneIds.add(zoneId);
+            } else {
+                wanted.set(zoneId, matches[0]);
+            }
+        });
+
+        if (removeUnlisted) {
+            yardMoveZones.forEach(zone => {
+                if (!wanted.has(zone.id) && !ambiguousZoneIds.has(zone.id)) {
+                    wanted.set(zone.id, { zone: zone, record: { yardMove: false }, matchedBy: 'unlisted' });
+                }
+            });
+        }
+
+        wanted.forEach(match => {
+            const isYardMove = yardMoveZones.includes(match.zone);
+            if (match.record.yardMove && !isYardMove) {
+                plan.toAdd.push(match);
+            } else if (!match.record.yardMove && isYardMove) {
+                plan.toRemove.push(match);
+            } else {
+                plan.unchanged++;
+            }
+        });
+
+        return plan;
+    }
+
+    /**
+     * Describe an import record for the diff lists
+     */
+    function describeImportRecord(record) {
+        return [
+            record.name && `"${record.name}"`,
+            record.id && t('ID: {id}', { id: record.id }),
+            record.externalReference && t('ref {reference}', { reference: record.externalReference })
+        ].filter(Boolean).join(', ') || t('(empty row)');
+    }
+
+    /**
+     * Render the dry-run diff of the pending import
+     */
+    function renderImportDiff() {
+        const diffEl = document.getElementById('importDiff');
+        const confirmBtn = document.getElementById('confirmImportBtn');
+        if (!diffEl || !pendingImport) return;
+
+        const removeUnlisted = document.getElementById('importRemoveUnlisted');
+        const plan = buildImportPlan(pendingImport.records, removeUnlisted && removeUnlisted.checked);
+        pendingImport.plan = plan;
+
+        const keyLabels = { id: t('ID'), externalReference: t('external reference'), name: t('name') };
+        const matchLabel = matchedBy => matchedBy === 'unlisted'
+            ? t('not in file')
+            : t('matched by {key}', { key: keyLabels[matchedBy] || matchedBy });
+        const section = (title, className, items) => `
+            <div class="import-section ${className}">
+                <h6>${title} <span class="badge rounded-pill">${formatNumber(items.length)}</span></h6>
+                ${items.length > 0 ? `<ul class="small mb-0">${items.join('')}</ul>` : `<p class="small text-muted mb-0">${t('None')}</p>`}
+            </div>
+        `;
+
+        diffEl.innerHTML = `
+            <p class="small text-muted">${tn(pendingImport.records.length, '{count} row read', '{count} rows read')}, ${tn(plan.unchanged, '{count} zone already matches the file.', '{count} zones already match the file.')}</p>
+            ${section(t('To add to Yard Move Zones'), 'to-add', plan.toAdd.map(m => `<li><strong>${escapeHtml(m.zone.name)}</strong> <span class="text-muted">(${matchLabel(m.matchedBy)})</span></li>`))}
+            ${section(t('To remove from Yard Move Zones'), 'to-remove', plan.toRemove.map(m => `<li><strong>${escapeHtml(m.zone.name)}</strong> <span class="text-muted">(${matchLabel(m.matchedBy)})</span></li>`))}
+            ${section(t('Unmatched'), 'unmatched', plan.unmatched.map(r => `<li>${escapeHtml(describeImportRecord(r))}</li>`))}
+            ${section(t('Ambiguous'), 'ambiguous', plan.ambiguous.map(a => `<li>${escapeHtml(describeImportRecord(a.record))}: ${a.conflicting
+                ? escapeHtml(t('another row for "{name}" asks for the opposite', { name: a.zone.name }))
+                : tn(a.zones.length, '{count} zone shares this {key}', '{count} zones share this {key}', { key: keyLabels[a.matchedBy] || a.matchedBy })}</li>`))}
+        `;
+
+        if (confirmBtn) {
+            confirmBtn.disabled = plan.toAdd.length + plan.toRemove.length === 0;
+        }
+    }
+
+    /**
+     * Read the chosen import file and show its dry-run diff
+     */
+    window.importZonesFile = async function(input) {
+        const file = input.files && input.files[0];
+        input.value = '';
+        if (!file) return;
+
+        try {
+            const text = await file.text();
+            pendingImport = { fileName: file.name, records: parseImportFile(file.name, text), plan: null };
+        } catch (error) {
+            console.error('Error reading import file:', error);
+            showAlert(t('Could not read {file}: {message}', { file: file.name, message: error.message }), 'danger');
+            return;
+        }
+
+        document.getElementById('importFileName').textContent = file.name;
+        renderImportDiff();
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('importModal')).show();
+    };
+
+    /**
+     * Re-run the dry run after an import option changes
+     */
+    window.updateImportPreview = function() {
+        renderImportDiff();
+    };
+
+    /**
+     * Apply the confirmed import through the normal add/remove path
+     */
+    window.confirmImport = async function() {
+        if (!pendingImport || !pendingImport.plan) return;
+
+        const { plan, fileName } = pendingImport;
+        pendingImport = null;
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('importModal')).hide();
+
+        showAlert(t('Applying {file}...', { file: fileName }), 'info');
+        if (plan.toAdd.length > 0) {
+            await moveZonesTo(plan.toAdd.map(m => m.zone.id), { typeId: yardMoveTypeId, add: true });
+        }
+        if (plan.toRemove.length > 0) {
+            await moveZonesTo(plan.toRemove.map(m => m.zone.id), { typeId: yardMoveTypeId, add: false });
+        }
+    };
+
+    /**
+     * Get an empty auto-classification rule set
+     */
+    function newRuleSet() {
+        return {
+            id: null,
+            name: '',
+            match: 'any',
+            removeNonMatching: false,
+            rules: [{ field: 'name', value: '' }]
+        };
+    }
+
+    /**
+     * Parse a "south, west, north, east" bounding box
+     */
+    function parseBoundingBoxRule(value) {
+        const numbers = String(value || '').split(',').map(part => parseFloat(part.trim()));
+        if (numbers.length !== 4 || numbers.some(n => isNaN(n))) {
+            return null;
+        }
+        const [south, west, north, east] = numbers;
+        return { minX: Math.min(west, east), minY: Math.min(south, north), maxX: Math.max(west, east), maxY: Math.max(south, north) };
+    }
+
+    /**
+     * Check that a rule is complete and valid; returns an error message, or null when it can be used
+     */
+    function getRuleError(rule) {
+        if (!rule.value || !String(rule.value).trim()) {
+            return t('Enter a value');
+        }
+        if (rule.field === 'name') {
+            try {
+                new RegExp(rule.value, 'i');
+            } catch (error) {
+                return t('Invalid regular expression');
+            }
+        }
+        if (rule.field === 'boundingBox' && !parseBoundingBoxRule(rule.value)) {
+            return t('Use south, west, north, east in decimal degrees');
+        }
+        return null;
+    }
+
+    /**
+     * Check whether a zone matches a single rule
+     */
+    function zoneMatchesRule(zone, rule) {
+        const value = String(rule.value).trim();
+        switch (rule.field) {
+            case 'name':
+                return new RegExp(value, 'i').test(zone.name);
+            case 'zoneType':
+                return hasZoneType(zone, value);
+            case 'comment':
+                return (zone.comment || '').toLowerCase().includes(value.toLowerCase());
+            case 'externalReference':
+                return (zone.externalReference || '').toLowerCase().includes(value.toLowerCase());
+            case 'boundingBox': {
+                const box = parseBoundingBoxRule(value);
+                const points = zone.points || [];
+                return points.length > 0 && points.every(p =>
+                    p.x >= box.minX && p.x <= box.maxX && p.y >= box.minY && p.y <= box.maxY
+                );
+            }
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Work out which zones a rule set would add to or remove from Yard Move Zones. Without a
+     * valid rule nothing matches, and nothing is removed either: a half-typed rule must not
+     * empty the Yard Move Zones column.
+     */
+    function buildRulePreview(ruleSet) {
+        const rules = ruleSet.rules.filter(rule => !getRuleError(rule));
+        const matches = zone => rules.length > 0 && (ruleSet.match === 'all'
+            ? rules.every(rule => zoneMatchesRule(zone, rule))
+            : rules.some(rule => zoneMatchesRule(zone, rule)));
+
+        return {
+            activeRules: rules.length,
+            toAdd: regularZones.filter(matches),
+            toRemove: ruleSet.removeNonMatching && rules.length > 0 ? yardMoveZones.filter(zone => !matches(zone)) : [],
+            alreadyMatching: yardMoveZones.filter(matches).length
+        };
+    }
+
+    /**
+     * Render the rule set editor and its live preview
+     */
+    function renderRuleEditor() {
+        const rulesEl = document.getElementById('ruleList');
+        if (!rulesEl || !editingRuleSet) return;
+
+        const fields = [
+            { value: 'name', label: t('Name matches regex'), placeholder: '^(YARD - |DC-)|Terminal' },
+            { value: 'zoneType', label: t('Has zone type'), placeholder: '' },
+            { value: 'comment', label: t('Comment contains'), placeholder: 'yard' },
+            { value: 'externalReference', label: t('External reference contains'), placeholder: 'DC' },
+            { value: 'boundingBox', label: t('Inside bounding box'), placeholder: t('south, west, north, east') }
+        ];
+        const zoneTypeOptions = [...zoneTypesById.values()]
+            .filter(zoneType => zoneType.id !== yardMoveTypeId)
+            .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+        document.getElementById('ruleSetName').value = editingRuleSet.name;
+        document.getElementById('ruleMatchAll').checked = editingRuleSet.match === 'all';
+        document.getElementById('ruleMatchAny').checked = editingRuleSet.match !== 'all';
+        document.getElementById('ruleRemoveNonMatching').checked = editingRuleSet.removeNonMatching;
+        document.getElementById('deleteRuleSetBtn').disabled = !editingRuleSet.id;
+
+        rulesEl.innerHTML = editingRuleSet.rules.map((rule, index) => {
+            const field = fields.find(f => f.value === rule.field) || fields[0];
+            const error = getRuleError(rule);
+            const valueInput = rule.field === 'zoneType' ? `
+                <select class="form-select form-select-sm" onchange="updateRule(${index}, 'value', this.value)">
+                    <option value="">${t('Choose a zone type')}</option>
+                    ${zoneTypeOptions.map(zt => `<option value="${zt.id}" ${zt.id === rule.value ? 'selected' : ''}>${escapeHtml(zt.name || zt.id)}</option>`).join('')}
+                </select>
+            ` : `
+                <input type="text" class="form-control form-control-sm ${error && rule.value ? 'is-invalid' : ''}"
+                       value="${escapeHtml(rule.value)}" placeholder="${field.placeholder}"
+                       oninput="updateRule(${index}, 'value', this.value)">
+            `;
+
+            return `
+                <div class="rule-row d-flex gap-2 align-items-start mb-2">
+                    <select class="form-select form-select-sm rule-field" onchange="updateRule(${index}, 'field', this.value)">
+                        ${fields.map(f => `<option value="${f.value}" ${f.value === rule.field ? 'selected' : ''}>${f.label}</option>`).join('')}
+                    </select>
+                    <div class="flex-grow-1">
+                        ${valueInput}
+                        <div class="invalid-feedback">${error || ''}</div>
+                    </div>
+                    <button type="button" class="btn btn-sm btn-outline-secondary" aria-label="${t('Remove rule')}" onclick="removeRule(${index})">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+            `;
+        }).join('');
+
+        renderRulePreview();
+    }
+
+    /**
+     * Render only the preview part of the rule editor, so typing in a rule keeps its focus
+     */
+    function renderRulePreview() {
+        const previewEl = document.getElementById('rulePreview');
+        const applyBtn = document.getElementById('applyRulesBtn');
+        if (!previewEl || !editingRuleSet) return;
+
+        rulePreview = buildRulePreview(editingRuleSet);
+        const section = (title, className, zones) => `
+            <div class="import-section ${className}">
+                <h6>${title} <span class="badge rounded-pill">${formatNumber(zones.length)}</span></h6>
+                ${zones.length > 0 ? `<ul class="small mb-0">${zones.map(z => `<li>${escapeHtml(z.name)}</li>`).join('')}</ul>` : `<p class="small text-muted mb-0">${t('None')}</p>`}
+            </div>
+        `;
+
+        previewEl.innerHTML = `
+            <p class="small text-muted">${tn(rulePreview.activeRules, '{count} active rule.', '{count} active rules.')} ${tn(rulePreview.alreadyMatching, '{count} Yard Move Zone already matches.', '{count} Yard Move Zones already match.')}</p>
+            ${section(t('To add to Yard Move Zones'), 'to-add', rulePreview.toAdd)}
+            ${editingRuleSet.removeNonMatching ? section(t('To remove from Yard Move Zones'), 'to-remove', rulePreview.toRemove) : ''}
+        `;
+
+        if (applyBtn) {
+            applyBtn.disabled = rulePreview.activeRules === 0 || rulePreview.toAdd.length + rulePreview.toRemove.length === 0;
+        }
+    }
+
+    /**
+     * Render the saved rule set picker
+     */
+    function renderRuleSetPicker() {
+        const picker = document.getElementById('ruleSetPicker');
+        if (!picker) return;
+
+        picker.innerHTML = `
+            <option value="">${t('New rule set')}</option>
+            ${ruleSets.map(rs => `<option value="${rs.id}" ${editingRuleSet && rs.id === editingRuleSet.id ? 'selected' : ''}>${escapeHtml(rs.name)}</option>`).join('')}
+        `;
+    }
+
+    /**
+     * Get the Firestore collection holding this database's rule sets
+     */
+    async function getRuleSetsCollection() {
+        const databaseDoc = await getCurrentDatabaseDoc();
+        return databaseDoc.collection('classification_rules');
+    }
+
+    /**
+     * Open the auto-classification rules editor
+     */
+    window.openRulesEditor = async function() {
+        editingRuleSet = newRuleSet();
+        renderRuleSetPicker();
+        renderRuleEditor();
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('rulesModal')).show();
+
+        try {
+            const snapshot = await (await getRuleSetsCollection()).get();
+            ruleSets = snapshot.docs.map(doc => ({ ...newRuleSet(), ...doc.data(), id: doc.id }));
+            ruleSets.sort((a, b) => a.name.localeCompare(b.name));
+            renderRuleSetPicker();
+        } catch (error) {
+            console.error('Error loading rule sets:', error);
+            showAlert(t('Error loading saved rule sets: {message}', { message: error.message }), 'danger');
+        }
+    };
+
+    /**
+     * Open a saved rule set, or start a new one
+     */
+    window.selectRuleSet = function(ruleSetId) {
+        const saved = ruleSets.find(rs => rs.id === ruleSetId);
+        editingRuleSet = saved ? JSON.parse(JSON.stringify(saved)) : newRuleSet();
+        renderRuleEditor();
+    };
+
+    /**
+     * Update a rule set option from the editor
+     */
+    window.updateRuleSetOption = function(option, value) {
+        if (!editingRuleSet) return;
+        editingRuleSet[option] = value;
+        renderRulePreview();
+    };
+
+    /**
+     * Update one field of a rule
+     */
+    window.updateRule = function(index, key, value) {
+        const rule = editingRuleSet && editingRuleSet.rules[index];
+        if (!rule) return;
+
+        rule[key] = value;
+        if (key === 'field') {
+            rule.value = '';
+            renderRuleEditor();
+            return;
+        }
+
+        // Update the validity message in place so the input keeps its focus while typing
+        const row = document.querySelectorAll('#ruleList .rule-row')[index];
+        const input = row && row.querySelector('input');
+        if (input) {
+            const error = getRuleError(rule);
+            input.classList.toggle('is-invalid', Boolean(error && rule.value));
+            row.querySelector('.invalid-feedback').textContent = error || '';
+        }
+        renderRulePreview();
+    };
+
+    /**
+     * Add an empty rule
+     */
+    window.addRule = function() {
+        if (!editingRuleSet) return;
+        editingRuleSet.rules.push({ field: 'name', value: '' });
+        renderRuleEditor();
+    };
+
+    /**
+     * Remove a rule
+     */
+    window.removeRule = function(index) {
+        if (!editingRuleSet) return;
+        editingRuleSet.rules.splice(index, 1);
+        renderRuleEditor();
+    };
+
+    /**
+     * Save the open rule set for this database
+     */
+    window.saveRuleSet = async function() {
+        if (!editingRuleSet) return;
+
+        const name = document.getElementById('ruleSetName').value.trim();
+        if (!name) {
+            showAlert(t('Give the rule set a name before saving'), 'warning');
+            return;
+        }
+        editingRuleSet.name = name;
+
+        const data = {
+            name: editingRuleSet.name,
+            match: editingRuleSet.match,
+            removeNonMatching: editingRuleSet.removeNonMatching,
+            rules: editingRuleSet.rules.map(rule => ({ field: rule.field, value: rule.value })),
+            updated_at: firebase.firestore.FieldValue.serverTimestamp()
+        };
+
+        try {
+            const collection = await getRuleSetsCollection();
+            if (editingRuleSet.id) {
+                await collection.doc(editingRuleSet.id).set(data);
+            } else {
+                editingRuleSet.id = (await collection.add(data)).id;
+            }
+
+            ruleSets = [...ruleSets.filter(rs => rs.id !== editingRuleSet.id), JSON.parse(JSON.stringify(editingRuleSet))];
+            ruleSets.sort((a, b) => a.name.localeCompare(b.name));
+            renderRuleSetPicker();
+            document.getElementById('deleteRuleSetBtn').disabled = false;
+            showAlert(t('Saved rule set "{name}"', { name: name }), 'success');
+        } catch (error) {
+            console.error('Error saving rule set:', error);
+            showAlert(t('Error saving rule set: {message}', { message: error.message }), 'danger');
+        }
+    };
+
+    /**
+     * Delete the open rule set
+     */
+    window.deleteRuleSet = async function() {
+        if (!editingRuleSet || !editingRuleSet.id) return;
+
+        try {
+            const collection = await getRuleSetsCollection();
+            await collection.doc(editingRuleSet.id).delete();
+            ruleSets = ruleSets.filter(rs => rs.id !== editingRuleSet.id);
+            showAlert(t('Deleted rule set "{name}"', { name: editingRuleSet.name }), 'success');
+            editingRuleSet = newRuleSet();
+            renderRuleSetPicker();
+            renderRuleEditor();
+        } catch (error) {
+            console.error('Error deleting rule set:', error);
+            showAlert(t('Error deleting rule set: {message}', { message: error.message }), 'danger');
+        }
+    };
+
+    /**
+     * Apply the previewed rule set changes through the normal add/remove path
+     */
+    window.applyRules = async function() {
+        if (!rulePreview || rulePreview.activeRules === 0) return;
+
+        const { toAdd, toRemove } = rulePreview;
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('rulesModal')).hide();
+
+        if (toAdd.length > 0) {
+            await moveZonesTo(toAdd.map(zone => zone.id), { typeId: yardMoveTypeId, add: true });
+        }
+        if (toRemove.length > 0) {
+            await moveZonesTo(toRemove.map(zone => zone.id), { typeId: yardMoveTypeId, add: false });
+        }
+    };
+
+    /**
+     * Get the coordinate of a duty status log, if it has one
+     */
+    function getLogCoordinate(log) {
+        const location = log.location && (log.location.location || log.location);
+        if (!location || typeof location.x !== 'number' || typeof location.y !== 'number') {
+            return null;
+        }
+        return { x: location.x, y: location.y };
+    }
+
+    /**
+     * Find the first zone from a list whose polygon contains a point
+     */
+    function findContainingZone(point, zones) {
+        return zones.find(zone => {
+            const points = zone.points || [];
+            if (points.length < 3) return false;
+            const box = getBoundingBox(points);
+            return point.x >= box.minX && point.x <= box.maxX && point.y >= box.minY && point.y <= box.maxY &&
+                isPointInPolygon(point, points);
+        });
+    }
+
+    /**
+     * Get a driver's display name from the analytics lookup
+     */
+    function getDriverName(driver) {
+        if (!driver || !driver.id) return t('Unknown driver');
+        return usageDriverNames.get(driver.id) || driver.id;
+    }
+
+    /**
+     * Attribute the loaded yard move logs to Yard Move Zones, and collect the ones outside every yard
+     */
+    function buildUsageReport() {
+        const byZone = new Map(yardMoveZones.map(zone => [zone.id, { zone: zone, count: 0, drivers: new Set(), lastUsed: null }]));
+        const candidates = new Map();
+        let withoutLocation = 0;
+
+        usageLogs.forEach(log => {
+            const point = getLogCoordinate(log);
+            if (!point) {
+                withoutLocation++;
+                return;
+            }
+
+            const yardZone = findContainingZone(point, yardMoveZones);
+            if (yardZone) {
+                const usage = byZone.get(yardZone.id);
+                usage.count++;
+                usage.drivers.add(getDriverName(log.driver));
+                if (!usage.lastUsed || log.dateTime > usage.lastUsed) {
+                    usage.lastUsed = log.dateTime;
+                }
+                return;
+            }
+
+            // Outside every yard: group by the regular zone it falls in, or by a coarse grid cell
+            const regularZone = findContainingZone(point, regularZones);
+            const metersPerDegree = EARTH_RADIUS_M * Math.PI / 180;
+            const cellY = Math.round(point.y * metersPerDegree / USAGE_CANDIDATE_GRID_M);
+            const cellX = Math.round(point.x * metersPerDegree * Math.cos(toRadians(point.y)) / USAGE_CANDIDATE_GRID_M);
+            const key = regularZone ? `zone:${regularZone.id}` : `cell:${cellX},${cellY}`;
+
+            if (!candidates.has(key)) {
+                candidates.set(key, { zone: regularZone || null, point: point, count: 0, drivers: new Set(), lastUsed: null });
+            }
+            const candidate = candidates.get(key);
+            candidate.count++;
+            candidate.drivers.add(getDriverName(log.driver));
+            if (!candidate.lastUsed || log.dateTime > candidate.lastUsed) {
+                candidate.lastUsed = log.dateTime;
+            }
+        });
+
+        return {
+            zones: [...byZone.values()].sort((a, b) => b.count - a.count || a.zone.name.localeCompare(b.zone.name)),
+            candidates: [...candidates.values()].sort((a, b) => b.count - a.count),
+            withoutLocation: withoutLocation
+        };
+    }
+
+    /**
+     * Format a log date for the analytics tables
+     */
+    function formatDateTime(dateTime) {
+        return dateTime ? new Date(dateTime).toLocaleString(language) : '-';
+    }
+
+    /**
+     * Render the usage analytics tables from the loaded logs
+     */
+    function renderUsageReport() {
+        const resultsEl = document.getElementById('usageResults');
+        if (!resultsEl) return;
+
+        const report = buildUsageReport();
+        const unused = report.zones.filter(usage => usage.count === 0).length;
+
+        resultsEl.innerHTML = `
+            <p class="small text-muted">
+                ${tn(usageLogs.length, '{count} yard move event', '{count} yard move events')},
+                ${tn(report.zones.length, '{unused} of {count} Yard Move Zone unused.', '{unused} of {count} Yard Move Zones unused.', { unused: formatNumber(unused) })}
+                ${report.withoutLocation > 0 ? tn(report.withoutLocation, '{count} event had no location.', '{count} events had no location.') : ''}
+            </p>
+            <h6 class="fw-semibold">${escapeHtml(getZoneTypeName(yardMoveTypeId))}</h6>
+            <div class="table-responsive mb-4">
+                <table class="table table-sm usage-table">
+                    <thead>
+                        <tr><th>${t('Zone')}</th><th class="text-end">${t('Events')}</th><th>${t('Drivers')}</th><th>${t('Last used')}</th></tr>
+                    </thead>
+                    <tbody>
+                        ${report.zones.map(usage => `
+                            <tr class="${usage.count === 0 ? 'unused' : ''}">
+                                <td>${escapeHtml(usage.zone.name)}</td>
+                                <td class="text-end">${formatNumber(usage.count)}</td>
+                                <td>${usage.drivers.size > 0 ? escapeHtml([...usage.drivers].join(', ')) : '-'}</td>
+                                <td>${formatDateTime(usage.lastUsed)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <h6 class="fw-semibold">${t('Yard moves outside Yard Move Zones')}</h6>
+            ${report.candidates.length === 0 ? `<p class="small text-muted">${t('None')}</p>` : `
+                <div class="table-responsive">
+                    <table class="table table-sm usage-table">
+                        <thead>
+                            <tr><th>${t('Location')}</th><th class="text-end">${t('Events')}</th><th>${t('Drivers')}</th><th>${t('Last used')}</th><th></th></tr>
+                        </thead>
+                        <tbody>
+                            ${report.candidates.map(candidate => `
+                                <tr>
+                                    <td>${candidate.zone ? escapeHtml(candidate.zone.name) : `<span class="text-muted">${t('Not in any zone ({latitude}, {longitude})', { latitude: candidate.point.y.toFixed(5), longitude: candidate.point.x.toFixed(5) })}</span>`}</td>
+                                    <td class="text-end">${formatNumber(candidate.count)}</td>
+                                    <td>${escapeHtml([...candidate.drivers].join(', '))}</td>
+                                    <td>${formatDateTime(candidate.lastUsed)}</td>
+                                    <td class="text-end">
+                                        ${candidate.zone ? `
+                                            <button type="button" class="btn btn-sm btn-move-selected" onclick="addUsageCandidate('${candidate.zone.id}')">
+                                                <i class="fas fa-plus me-1"></i>${t('Add')}
+                                            </button>
+                                        ` : ''}
+                                    </td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `}
+        `;
+    }
+
+    /**
+     * Open the usage analytics view
+     */
+    window.openUsageAnalytics = function() {
+        const fromInput = document.getElementById('usageFrom');
+        const toInput = document.getElementById('usageTo');
+        if (fromInput && !fromInput.value) {
+            const from = new Date(Date.now() - USAGE_DEFAULT_DAYS * 24 * 60 * 60 * 1000);
+            fromInput.value = from.toISOString().split('T')[0];
+        }
+        if (toInput && !toInput.value) {
+            toInput.value = new Date().toISOString().split('T')[0];
+        }
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('usageModal')).show();
+    };
+
+    /**
+     * Load yard move duty status logs for the chosen dates and attribute them to zones
+     */
+    window.runUsageAnalytics = async function() {
+        const fromValue = document.getElementById('usageFrom').value;
+        const toValue = document.getElementById('usageTo').value;
+        if (!fromValue || !toValue) {
+            showAlert(t('Choose a start and end date'), 'warning');
+            return;
+        }
+
+        const fromDate = new Date(`${fromValue}T00:00:00`);
+        const toDate = new Date(`${toValue}T23:59:59.999`);
+        if (fromDate > toDate) {
+            showAlert(t('The start date must be before the end date'), 'warning');
+            return;
+        }
+
+        setButtonLoading('runUsageBtn', true);
+        try {
+            const logs = await makeGeotabCall("Get", "DutyStatusLog", {
+                search: {
+                    fromDate: fromDate.toISOString(),
+                    toDate: toDate.toISOString(),
+                    statuses: ['YM']
+                }
+            });
+            usageLogs = (logs || []).filter(log => log.status === 'YM');
+
+            // Look up driver names once per driver
+            const driverIds = [...new Set(usageLogs.map(log => log.driver && log.driver.id).filter(Boolean))]
+                .filter(id => !usageDriverNames.has(id));
+            for (let i = 0; i < driverIds.length; i += MULTICALL_BATCH_SIZE) {
+                const batchIds = driverIds.slice(i, i + MULTICALL_BATCH_SIZE);
+                try {
+                    const users = await makeGeotabMultiCall(batchIds.map(id => ["Get", "User", { search: { id: id } }]));
+                    users.forEach((found, index) => {
+                        const user = found && found[0];
+                        const fullName = user ? `${user.firstName || ''} ${user.lastName || ''}`.trim() : '';
+                        usageDriverNames.set(batchIds[index], fullName || (user && user.name) || batchIds[index]);
+                    });
+                } catch (error) {
+                    console.warn('Could not load driver names:', error);
+                }
+            }
+
+            renderUsageReport();
+        } catch (error) {
+            console.error('Error loading yard move usage:', error);
+            showAlert(t('Error loading yard move usage: {message}', { message: error.message }), 'danger');
+        } finally {
+            setButtonLoading('runUsageBtn', false);
+        }
+    };
+
+    /**
+     * Add a zone where yard moves happen to Yard Move Zones, then re-attribute the loaded logs
+     */
+    window.addUsageCandidate = async function(zoneId) {
+        await moveZonesTo([zoneId], { typeId: yardMoveTypeId, add: true });
+        renderUsageReport();
+    };
+
+    /**
+     * Convert a MyGeotab TimeSpan ("hh:mm:ss" or "d.hh:mm:ss") to milliseconds
+     */
+    function parseTimeSpan(text) {
+        const match = /^(?:(\d+)\.)?(\d+):(\d+):(\d+(?:\.\d+)?)$/.exec(text || '');
+        if (!match) return 0;
+        const [, days, hours, minutes, seconds] = match;
+        return (((Number(days || 0) * 24 + Number(hours)) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000;
+    }
+
+    /**
+     * Get the first DISCOVERY_NIGHT_HOUR at or after a time, in local time
+     */
+    function getNextNight(time) {
+        const night = new Date(time);
+        night.setHours(DISCOVERY_NIGHT_HOUR, 0, 0, 0);
+        if (night < time) {
+            night.setDate(night.getDate() + 1);
+        }
+        return night;
+    }
+
+    /**
+     * Turn trips into discovery events: a stop the vehicle was still parked at during the night
+     * is an overnight stay, and a short trip that never got above walking pace is a low-speed move
+     */
+    function getTripEvents(trips) {
+        const events = [];
+        trips.forEach(trip => {
+            const point = trip.stopPoint;
+            const deviceId = trip.device && trip.device.id;
+            if (!point || typeof point.x !== 'number' || typeof point.y !== 'number' || !trip.stop) return;
+
+            const stoppedAt = new Date(trip.stop);
+            const leftAt = trip.nextTripStart
+                ? new Date(trip.nextTripStart)
+                : new Date(stoppedAt.getTime() + parseTimeSpan(trip.stopDuration));
+            const night = getNextNight(stoppedAt);
+            if (night <= leftAt) {
+                events.push({ kind: 'overnight', point: point, deviceId: deviceId, time: stoppedAt, key: `${deviceId}|${night.toDateString()}` });
+            }
+            if (trip.maximumSpeed <= DISCOVERY_LOW_SPEED_KMH && trip.distance <= DISCOVERY_MOVE_MAX_KM) {
+                events.push({ kind: 'move', point: point, deviceId: deviceId, time: stoppedAt, key: `${deviceId}|${trip.id || trip.stop}` });
+            }
+        });
+        return events;
+    }
+
+    /**
+     * Turn GPS log records into discovery events: standing still in the small hours is an
+     * overnight stay, and crawling along counts as one low-speed move per vehicle and window
+     */
+    function getLogRecordEvents(logRecords) {
+        const events = [];
+        logRecords.forEach(record => {
+            if (typeof record.latitude !== 'number' || typeof record.longitude !== 'number' || !record.dateTime) return;
+
+            const point = { x: record.longitude, y: record.latitude };
+            const deviceId = record.device && record.device.id;
+            const time = new Date(record.dateTime);
+            if (record.speed === 0 && time.getHours() < DISCOVERY_NIGHT_END_HOUR) {
+                events.push({ kind: 'overnight', point: point, deviceId: deviceId, time: time, key: `${deviceId}|${time.toDateString()}` });
+            } else if (record.speed > 0 && record.speed <= DISCOVERY_LOW_SPEED_KMH) {
+                events.push({ kind: 'move', point: point, deviceId: deviceId, time: time, key: `${deviceId}|${Math.floor(time / DISCOVERY_MOVE_WINDOW_MS)}` });
+            }
+        });
+        return events;
+    }
+
+    /**
+     * Group events into places: events are bucketed on a grid and touching cells are joined.
+     * Each place counts distinct overnight stays and moves, so a vehicle parked all night
+     * or crawling for ten minutes only counts once.
+     */
+    function clusterDiscoveryEvents(events) {
+        const metersPerDegree = EARTH_RADIUS_M * Math.PI / 180;
+        const cells = new Map();
+        events.forEach(event => {
+            const cellY = Math.floor(event.point.y * metersPerDegree / DISCOVERY_CELL_M);
+            const cellX = Math.floor(event.point.x * metersPerDegree * Math.cos(toRadians(event.point.y)) / DISCOVERY_CELL_M);
+            const key = `${cellX},${cellY}`;
+            if (!cells.has(key)) {
+                cells.set(key, { x: cellX, y: cellY, events: [] });
+            }
+            cells.get(key).events.push(event);
+        });
+
+        const visited = new Set();
+        const clusters = [];
+        cells.forEach((cell, key) => {
+            if (visited.has(key)) return;
+
+            const clusterEvents = [];
+            const pending = [key];
+            visited.add(key);
+            while (pending.length > 0) {
+                const current = cells.get(pending.pop());
+                clusterEvents.push(...current.events);
+                for (let dx = -1; dx <= 1; dx++) {
+                    for (let dy = -1; dy <= 1; dy++) {
+                        const neighbour = `${current.x + dx},${current.y + dy}`;
+                        if (cells.has(neighbour) && !visited.has(neighbour)) {
+                            visited.add(neighbour);
+                            pending.push(neighbour);
+                        }
+                    }
+                }
+            }
+
+            const points = clusterEvents.map(event => event.point);
+            const centroid = {
+                x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+                y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+            };
+            clusters.push({
+                centroid: centroid,
+                radius: points.reduce((max, p) => Math.max(max, getDistance(centroid, p)), 0),
+                overnights: new Set(clusterEvents.filter(event => event.kind === 'overnight').map(event => event.key)).size,
+                moves: new Set(clusterEvents.filter(event => event.kind === 'move').map(event => event.key)).size,
+                vehicles: new Set(clusterEvents.map(event => event.deviceId).filter(Boolean)).size,
+                lastSeen: new Date(clusterEvents.reduce((latest, event) => Math.max(latest, event.time.getTime()), 0))
+            });
+        });
+
+        return clusters
+            .filter(cluster => cluster.overnights >= DISCOVERY_MIN_OVERNIGHTS || cluster.moves >= DISCOVERY_MIN_MOVES)
+            .sort((a, b) => b.overnights - a.overnights || b.moves - a.moves);
+    }
+
+    /**
+     * Find the zone a discovered place belongs to: a Yard Move Zone it is already in, or the
+     * regular zone that could be added
+     */
+    function matchDiscoveryCluster(cluster) {
+        const yardZone = findContainingZone(cluster.centroid, yardMoveZones);
+        if (yardZone) {
+            return { zone: yardZone, isYardMove: true };
+        }
+        const regularZone = findContainingZone(cluster.centroid, regularZones);
+        return { zone: regularZone || null, isYardMove: false };
+    }
+
+    /**
+     * Render the places found by the last discovery run
+     */
+    function renderDiscoveryResults() {
+        const resultsEl = document.getElementById('discoverResults');
+        if (!resultsEl) return;
+
+        const matched = discoveryClusters.map(cluster => ({ cluster: cluster, ...matchDiscoveryCluster(cluster) }));
+        const known = matched.filter(entry => entry.isYardMove).length;
+
+        resultsEl.innerHTML = `
+            <p class="small text-muted">
+                ${tn(discoveryEventCount, '{count} stop or move read', '{count} stops and moves read')},
+                ${tn(matched.length, '{count} busy place found', '{count} busy places found')}${known > 0 ? `, ${tn(known, '{count} already a Yard Move Zone', '{count} already Yard Move Zones')}` : ''}.
+            </p>
+            ${matched.length === 0 ? `<p class="small text-muted">${t('No place had enough overnight stays or low-speed moves.')}</p>` : `
+                <div class="table-responsive">
+                    <table class="table table-sm usage-table">
+                        <thead>
+                            <tr>
+                                <th>${t('Location')}</th>
+                                <th class="text-end">${t('Overnight stays')}</th>
+                                <th class="text-end">${t('Low-speed moves')}</th>
+                                <th class="text-end">${t('Vehicles')}</th>
+                                <th>${t('Last seen')}</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${matched.map((entry, index) => `
+                                <tr class="${entry.isYardMove ? 'unused' : ''}">
+                                    <td>${entry.zone
+                                        ? escapeHtml(entry.zone.name)
+                                        : `<span class="text-muted">${t('Not in any zone ({latitude}, {longitude})', { latitude: entry.cluster.centroid.y.toFixed(5), longitude: entry.cluster.centroid.x.toFixed(5) })}</span>`}</td>
+                                    <td class="text-end">${formatNumber(entry.cluster.overnights)}</td>
+                                    <td class="text-end">${formatNumber(entry.cluster.moves)}</td>
+                                    <td class="text-end">${formatNumber(entry.cluster.vehicles)}</td>
+                                    <td>${formatDateTime(entry.cluster.lastSeen)}</td>
+                                    <td class="text-end text-nowrap">
+                                        ${entry.isYardMove ? `<span class="badge type-chip yard-move">${escapeHtml(getZoneTypeName(yardMoveTypeId))}</span>` : entry.zone ? `
+                                            <button type="button" class="btn btn-sm btn-move-selected requires-edit" onclick="addDiscoveredZone('${entry.zone.id}')">
+                                                <i class="fas fa-plus me-1"></i>${t('Add')}
+                                            </button>
+                                        ` : `
+                                            <button type="button" class="btn btn-sm btn-outline-secondary requires-edit" onclick="createDiscoveredZone(${index})">
+                                                <i class="fas fa-draw-polygon me-1"></i>${t('Create zone')}
+                                            </button>
+                                        `}
+                                    </td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `}
+        `;
+    }
+
+    /**
+     * Open the yard discovery view, with the last two weeks and the board's group filter to start from
+     */
+    window.openDiscovery = function() {
+        const fromInput = document.getElementById('discoverFrom');
+        const toInput = document.getElementById('discoverTo');
+        if (!fromInput.value) {
+            fromInput.value = new Date(Date.now() - DISCOVERY_DEFAULT_DAYS * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+        }
+        if (!toInput.value) {
+            toInput.value = new Date().toISOString().split('T')[0];
+        }
+
+        const groupSelect = document.getElementById('discoverGroup');
+        const selectedGroupId = groupSelect.value || ((getActiveGroupFilter() || [])[0] || { id: 'GroupCompanyId' }).id;
+        const groupIds = [...new Set(['GroupCompanyId', selectedGroupId, ...groupsById.keys()])];
+        groupSelect.innerHTML = groupIds
+            .map(id => ({ id: id, name: id === 'GroupCompanyId' ? t('All vehicles') : getGroupName(id) }))
+            .sort((a, b) => (a.id === 'GroupCompanyId' ? -1 : b.id === 'GroupCompanyId' ? 1 : a.name.localeCompare(b.name)))
+            .map(group => `<option value="${group.id}" ${group.id === selectedGroupId ? 'selected' : ''}>${escapeHtml(group.name)}</option>`)
+            .join('');
+
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('discoverModal')).show();
+    };
+
+    /**
+     * Read the trips or log records of each vehicle in the period. The API only searches these
+     * by a single device, so each vehicle gets its own call and an even share of the limit.
+     */
+    async function getDiscoveryRecords(typeName, deviceIds, search, limit) {
+        const perDeviceLimit = Math.max(1, Math.floor(limit / Math.max(deviceIds.length, 1)));
+        let records = [];
+        let truncated = false;
+        for (let i = 0; i < deviceIds.length; i += MULTICALL_BATCH_SIZE) {
+            const batch = deviceIds.slice(i, i + MULTICALL_BATCH_SIZE);
+            const results = await makeGeotabMultiCall(batch.map(id => ["Get", typeName, {
+                search: { ...search, deviceSearch: { id: id } },
+                resultsLimit: perDeviceLimit
+            }]));
+            results.forEach(found => {
+                records = records.concat(found || []);
+                truncated = truncated || (found || []).length >= perDeviceLimit;
+            });
+        }
+        return { records: records, perDeviceLimit: perDeviceLimit, truncated: truncated };
+    }
+
+    /**
+     * Read trips or GPS log records of the chosen vehicles and period, and suggest the places
+     * where they park overnight or shunt around as Yard Move Zones
+     */
+    window.runDiscovery = async function() {
+        const fromValue = document.getElementById('discoverFrom').value;
+        const toValue = document.getElementById('discoverTo').value;
+        if (!fromValue || !toValue) {
+            showAlert(t('Choose a start and end date'), 'warning');
+            return;
+        }
+
+        const fromDate = new Date(`${fromValue}T00:00:00`);
+        const toDate = new Date(`${toValue}T23:59:59.999`);
+        if (fromDate > toDate) {
+            showAlert(t('The start date must be before the end date'), 'warning');
+            return;
+        }
+
+        const search = { fromDate: fromDate.toISOString(), toDate: toDate.toISOString() };
+        const groupId = document.getElementById('discoverGroup').value || 'GroupCompanyId';
+        const source = document.getElementById('discoverSource').value;
+
+        setButtonLoading('runDiscoveryBtn', true);
+        try {
+            const devices = await makeGeotabCall("Get", "Device", { search: { groups: [{ id: groupId }] } });
+            const deviceIds = (devices || []).map(device => device.id);
+
+            let events;
+            if (source === 'logs') {
+                const read = await getDiscoveryRecords("LogRecord", deviceIds, search, DISCOVERY_LOG_LIMIT);
+                events = getLogRecordEvents(read.records);
+                if (read.truncated) {
+                    showAlert(t('Only the first {count} log records of some vehicles were read; choose a shorter period or fewer vehicles to read them all', { count: formatNumber(read.perDeviceLimit) }), 'warning');
+                }
+            } else {
+                const read = await getDiscoveryRecords("Trip", deviceIds, search, DISCOVERY_TRIP_LIMIT);
+                events = getTripEvents(read.records);
+                if (read.truncated) {
+                    showAlert(t('Only the first {count} trips of some vehicles were read; choose a shorter period or fewer vehicles to read them all', { count: formatNumber(read.perDeviceLimit) }), 'warning');
+                }
+            }
+            discoveryEventCount = events.length;
+            discoveryClusters = clusterDiscoveryEvents(events);
+            renderDiscoveryResults();
+        } catch (error) {
+            console.error('Error discovering yards:', error);
+            showAlert(t('Error discovering yards: {message}', { message: error.message }), 'danger');
+        } finally {
+            setButtonLoading('runDiscoveryBtn', false);
+        }
+    };
+
+    /**
+     * Add the zone a discovered place is in to Yard Move Zones
+     */
+    window.addDiscoveredZone = async function(zoneId) {
+        await moveZonesTo([zoneId], { typeId: yardMoveTypeId, add: true });
+        renderDiscoveryResults();
+    };
+
+    /**
+     * Open the zone editor on a circle around a discovered place that no zone covers
+     */
+    window.createDiscoveredZone = function(index) {
+        const cluster = discoveryClusters[index];
+        if (!cluster) return;
+
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('discoverModal')).hide();
+        openCreateZone();
+        document.getElementById('zoneEditorName').value = t('Yard near {latitude}, {longitude}', {
+            latitude: cluster.centroid.y.toFixed(4),
+            longitude: cluster.centroid.x.toFixed(4)
+        });
+        document.getElementById('zoneEditorSource').value = 'circle';
+        document.getElementById('zoneEditorLatitude').value = cluster.centroid.y.toFixed(6);
+        document.getElementById('zoneEditorLongitude').value = cluster.centroid.x.toFixed(6);
+        document.getElementById('zoneEditorRadius').value = Math.round(Math.max(DISCOVERY_MIN_RADIUS_M, cluster.radius + DISCOVERY_ZONE_MARGIN_M));
+        document.getElementById('zoneEditorYardMove').checked = true;
+        updateZoneEditor();
+    };
+
+    /**
+     * Get the database's zone change audit trail
+     */
+    async function getAuditCollection() {
+        const databaseDoc = await getCurrentDatabaseDoc();
+        return databaseDoc.collection('zone_audit');
+    }
+
+    /**
+     * Record the saved zone type changes of a move in the audit trail. Writing the trail
+     * never holds up or fails the move itself.
+     */
+    async function recordAudit(results, change, historyMode) {
+        const changed = results.filter(r => !r.error && r.changed);
+        if (changed.length === 0) return;
+
+        try {
+            const session = await getSession();
+            const collection = await getAuditCollection();
+            const clientTime = new Date().toISOString();
+            const typeIds = zoneTypes => (zoneTypes || []).map(zt => zt.id);
+
+            for (let i = 0; i < changed.length; i += FIRESTORE_BATCH_SIZE) {
+                const batch = window.db.batch();
+                changed.slice(i, i + FIRESTORE_BATCH_SIZE).forEach(r => {
+                    batch.set(collection.doc(), {
+                        database_name: session.database || null,
+                        user_name: session.userName || null,
+                        zone_id: r.zoneId,
+                        zone_name: r.zone.name || getZoneName(r.zoneId),
+                        action: change.add ? 'add' : 'remove',
+                        zone_type_id: change.typeId,
+                        zone_type_name: getZoneTypeName(change.typeId),
+                        before_zone_types: typeIds(r.priorZoneTypes),
+                        after_zone_types: typeIds(r.zone.zoneTypes),
+                        source: historyMode === 'record' ? 'change' : historyMode,
+                        client_time: clientTime,
+                        timestamp: firebase.firestore.FieldValue.serverTimestamp()
+                    });
+                });
+                await batch.commit();
+            }
+        } catch (error) {
+            console.warn('Could not record the zone change audit trail:', error.message);
+        }
+    }
+
+    /**
+     * Get an audit entry's time, preferring the server timestamp once it has been set
+     */
+    function getAuditTime(entry) {
+        return entry.timestamp && typeof entry.timestamp.toDate === 'function'
+            ? entry.timestamp.toDate()
+            : new Date(entry.client_time);
+    }
+
+    /**
+     * Describe an audit entry's change in words
+     */
+    function describeAuditEntry(entry) {
+        const typeName = entry.zone_type_name || getZoneTypeName(entry.zone_type_id);
+        const verb = entry.action === 'add'
+            ? t('Added to {type}', { type: typeName })
+            : t('Removed from {type}', { type: typeName });
+        return entry.source && entry.source !== 'change' ? `${verb} (${t(entry.source)})` : verb;
+    }
+
+    /**
+     * Render audit entries as a table, newest first
+     */
+    function renderAuditTable(entries, showZone) {
+        if (entries.length === 0) {
+            return `<p class="small text-muted mb-0">${t('No recorded changes.')}</p>`;
+        }
+
+        return `
+            <div class="table-responsive">
+                <table class="table table-sm usage-table mb-0">
+                    <thead>
+                        <tr><th>${t('When')}</th><th>${t('User')}</th>${showZone ? `<th>${t('Zone')}</th>` : ''}<th>${t('Change')}</th></tr>
+                    </thead>
+                    <tbody>
+                        ${entries.map(entry => `
+                            <tr>
+                                <td class="text-nowrap">${formatDateTime(getAuditTime(entry))}</td>
+                                <td>${escapeHtml(entry.user_name || '-')}</td>
+                                ${showZone ? `<td>${escapeHtml(entry.zone_name || entry.zone_id)}</td>` : ''}
+                                <td>
+                                    <span class="audit-action ${entry.action}">${escapeHtml(describeAuditEntry(entry))}</span>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Load and show the change history of the previewed zone
+     */
+    window.showZoneHistory = async function() {
+        const historyEl = document.getElementById('previewHistory');
+        const zoneId = previewZoneId;
+        if (!historyEl || !zoneId) return;
+
+        historyEl.innerHTML = `<p class="small text-muted mb-0">${t('Loading history...')}</p>`;
+        try {
+            const collection = await getAuditCollection();
+            const snapshot = await collection.where('zone_id', '==', zoneId).get();
+            const entries = snapshot.docs
+                .map(doc => doc.data())
+                .sort((a, b) => getAuditTime(b) - getAuditTime(a))
+                .slice(0, AUDIT_LOG_LIMIT);
+
+            // The user may have previewed another zone meanwhile
+            if (previewZoneId === zoneId) {
+                historyEl.innerHTML = renderAuditTable(entries, false);
+            }
+        } catch (error) {
+            console.error('Error loading zone history:', error);
+            historyEl.innerHTML = `<p class="small text-danger mb-0">${escapeHtml(t('Could not load history: {message}', { message: error.message }))}</p>`;
+        }
+    };
+
+    /**
+     * Open the database-wide activity log with its latest entries
+     */
+    window.openActivityLog = async function() {
+        const resultsEl = document.getElementById('activityResults');
+        resultsEl.innerHTML = `<p class="small text-muted">${t('Loading activity...')}</p>`;
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('activityModal')).show();
+
+        try {
+            const collection = await getAuditCollection();
+            const snapshot = await collection.orderBy('timestamp', 'desc').limit(AUDIT_LOG_LIMIT).get();
+            activityEntries = snapshot.docs.map(doc => doc.data());
+            renderActivityTypeOptions();
+            renderActivityLog();
+        } catch (error) {
+            console.error('Error loading activity log:', error);
+            activityEntries = [];
+            resultsEl.innerHTML = `<p class="small text-danger">${escapeHtml(t('Could not load the activity log: {message}', { message: error.message }))}</p>`;
+        }
+    };
+
+    /**
+     * Offer the zone types that appear in the loaded activity as a filter
+     */
+    function renderActivityTypeOptions() {
+        const select = document.getElementById('activityType');
+        const current = select.value;
+        const typeIds = [...new Set(activityEntries.map(entry => entry.zone_type_id))];
+
+        select.innerHTML = `
+            <option value="">${t('All zone types')}</option>
+            ${typeIds.map(id => `<option value="${id}">${escapeHtml(getZoneTypeName(id))}</option>`).join('')}
+        `;
+        select.value = typeIds.includes(current) ? current : '';
+    }
+
+    /**
+     * Show the loaded activity matching the filters
+     */
+    function renderActivityLog() {
+        const resultsEl = document.getElementById('activityResults');
+        if (!resultsEl) return;
+
+        const searchTerm = document.getElementById('activitySearch').value.trim().toLowerCase();
+        const action = document.getElementById('activityAction').value;
+        const typeId = document.getElementById('activityType').value;
+
+        const matches = activityEntries.filter(entry =>
+            (!action || entry.action === action) &&
+            (!typeId || entry.zone_type_id === typeId) &&
+            (!searchTerm || [entry.zone_name, entry.zone_id, entry.user_name]
+                .some(value => (value || '').toLowerCase().includes(searchTerm)))
+        );
+
+        resultsEl.innerHTML = `
+            <p class="small text-muted">
+                ${tn(activityEntries.length, '{shown} of {count} change', '{shown} of {count} changes', { shown: formatNumber(matches.length) })}${activityEntries.length >= AUDIT_LOG_LIMIT ? ` ${t('(latest {limit} loaded)', { limit: formatNumber(AUDIT_LOG_LIMIT) })}` : ''}
+            </p>
+            ${renderAuditTable(matches, true)}
+        `;
+    }
+    window.renderActivityLog = renderActivityLog;
+
+    /**
+     * Get the problems of a zone's own polygon: degenerate, self-intersecting or over the area limit.
+     * Cached per zone version, since the board re-renders often.
+     */
+    function getZoneShapeIssues(zone) {
+        const points = zone.points || [];
+        const cacheKey = `${zone.version}|${points.length}|${geometryPolicy.maxAreaSquareMeters}`;
+        const cached = zone.version ? zoneIssueCache.get(zone.id) : null;
+        if (cached && cached.key === cacheKey) {
+            return cached.issues;
+        }
+
+        const issues = [];
+        const distinct = new Set(getOpenRing(points).map(p => `${p.x},${p.y}`));
+        const area = getPolygonArea(points);
+
+        // A crossing polygon's lobes can cancel out in the area, so check crossings first
+        if (distinct.size >= 3 && isSelfIntersecting(points)) {
+            issues.push({ code: 'selfIntersection', label: t('Self-intersecting'), message: t('The polygon edges cross each other') });
+        } else if (distinct.size < 3 || area < 1) {
+            issues.push({ code: 'degenerate', label: t('Degenerate'), message: t('The polygon has fewer than three distinct points or no area') });
+        }
+        if (distinct.size >= 3) {
+            if (geometryPolicy.maxAreaSquareMeters && area > geometryPolicy.maxAreaSquareMeters) {
+                issues.push({
+                    code: 'oversize',
+                    label: t('Oversize'),
+                    message: t('Area {area} is over the {limit} limit', {
+                        area: formatArea(area),
+                        limit: formatArea(geometryPolicy.maxAreaSquareMeters)
+                    })
+                });
+            }
+        }
+
+        if (zone.version) {
+            zoneIssueCache.set(zone.id, { key: cacheKey, issues: issues });
+        }
+        return issues;
+    }
+
+    /**
+     * Find overlapping pairs among a set of zones, sweeping over their sorted bounding boxes.
+     * Returns a map of zone id to the ids of the zones it overlaps.
+     */
+    function findOverlaps(zones) {
+        const overlaps = new Map();
+        const entries = zones
+            .filter(zone => (zone.points || []).length >= 3)
+            .map(zone => ({ zone: zone, box: getBoundingBox(zone.points) }))
+            .sort((a, b) => a.box.minX - b.box.minX);
+
+        for (let i = 0; i < entries.length; i++) {
+            for (let j = i + 1; j < entries.length && entries[j].box.minX <= entries[i].box.maxX; j++) {
+                const a = entries[i];
+                const b = entries[j];
+                if (boundingBoxesIntersect(a.box, b.box) && polygonsOverlap(a.zone.points, b.zone.points)) {
+                    overlaps.set(a.zone.id, [...(overlaps.get(a.zone.id) || []), b.zone.id]);
+                    overlaps.set(b.zone.id, [...(overlaps.get(b.zone.id) || []), a.zone.id]);
+                }
+            }
+        }
+
+        return overlaps;
+    }
+
+    /**
+     * Build the overlap issue of a zone from an overlap map
+     */
+    function getOverlapIssues(zoneId, overlaps) {
+        const others = overlaps.get(zoneId);
+        if (!geometryPolicy.checkOverlaps || !others || others.length === 0) {
+            return [];
+        }
+        return [{
+            code: 'overlap',
+            label: t('Overlap'),
+            message: t('Overlaps {zones}', { zones: others.map(id => `"${getZoneName(id)}"`).join(', ') })
+        }];
+    }
+
+    /**
+     * Get every geometry issue of a zone; overlaps only apply between Yard Move Zones
+     */
+    function getGeometryIssues(zone) {
+        return [...getZoneShapeIssues(zone), ...getOverlapIssues(zone.id, yardMoveOverlaps)];
+    }
+
+    /**
+     * Re-run the overlap audit of the current Yard Move Zones and refresh the issue count
+     */
+    function auditYardMoveZones() {
+        yardMoveOverlaps = geometryPolicy.checkOverlaps ? findOverlaps(yardMoveZones) : new Map();
+
+        const countEl = document.getElementById('geometryIssueCount');
+        if (countEl) {
+            const count = yardMoveZones.filter(zone => getGeometryIssues(zone).length > 0).length;
+            countEl.textContent = count;
+            countEl.style.display = count > 0 ? 'inline-block' : 'none';
+        }
+    }
+
+    /**
+     * Check zones about to become Yard Move Zones, including overlaps with each other. A zone
+     * with the id of an existing Yard Move Zone is checked in place of it.
+     * Returns a map of zone id to its issues, for zones that have any.
+     */
+    function validateYardMoveAdditions(adding) {
+        const others = yardMoveZones.filter(zone => !adding.some(a => a.id === zone.id));
+        const overlaps = geometryPolicy.checkOverlaps ? findOverlaps([...others, ...adding]) : new Map();
+        const problems = new Map();
+
+        adding.forEach(zone => {
+            const issues = [...getZoneShapeIssues(zone), ...getOverlapIssues(zone.id, overlaps)];
+            if (issues.length > 0) {
+                problems.set(zone.id, issues);
+            }
+        });
+
+        return problems;
+    }
+
+    /**
+     * Render warning badges for a zone's geometry issues
+     */
+    function renderGeometryBadges(zone, type) {
+        return renderIssueBadges(type === 'yardmove' ? getGeometryIssues(zone) : getZoneShapeIssues(zone));
+    }
+
+    /**
+     * Render warning badges for a list of geometry issues
+     */
+    function renderIssueBadges(issues) {
+        if (issues.length === 0) return '';
+
+        return `
+            <div class="zone-geometry-issues">
+                ${issues.map(issue => `
+                    <span class="badge geometry-badge" title="${escapeHtml(issue.message)}">
+                        <i class="fas fa-exclamation-triangle me-1"></i>${issue.label}
+                    </span>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Load this database's geometry policy, falling back to the defaults
+     */
+    async function loadGeometryPolicy() {
+        try {
+            const databaseDoc = await getCurrentDatabaseDoc();
+            const snapshot = await databaseDoc.get();
+            const saved = snapshot.exists ? snapshot.data().geometry_policy : null;
+            geometryPolicy = { ...DEFAULT_GEOMETRY_POLICY, ...(saved || {}) };
+        } catch (error) {
+            console.warn('Using the default geometry policy:', error.message);
+            geometryPolicy = { ...DEFAULT_GEOMETRY_POLICY };
+        }
+    }
+
+    /**
+     * Render the geometry policy form and the audit of current Yard Move Zones
+     */
+    function renderGeometryAudit() {
+        const auditEl = document.getElementById('geometryAudit');
+        if (!auditEl) return;
+
+        document.getElementById('policyMaxArea').value = geometryPolicy.maxAreaSquareMeters
+            ? geometryPolicy.maxAreaSquareMeters / 10000
+            : '';
+        document.getElementById('policyCheckOverlaps').checked = geometryPolicy.checkOverlaps;
+        document.getElementById('policyMode').value = geometryPolicy.mode;
+
+        const flagged = yardMoveZones
+            .map(zone => ({ zone: zone, issues: getGeometryIssues(zone) }))
+            .filter(entry => entry.issues.length > 0);
+
+        auditEl.innerHTML = flagged.length === 0
+            ? `<p class="small text-muted mb-0">${tn(yardMoveZones.length, 'The {count} Yard Move Zone passes the checks.', 'All {count} Yard Move Zones pass the checks.')}</p>`
+            : `
+                <p class="small text-muted">${tn(yardMoveZones.length, '{flagged} of {count} Yard Move Zone has issues.', '{flagged} of {count} Yard Move Zones have issues.', { flagged: formatNumber(flagged.length) })}</p>
+                <ul class="small mb-0">
+                    ${flagged.map(entry => `
+                        <li>
+                            <a href="#" onclick="previewZone('${entry.zone.id}'); return false;"><strong>${escapeHtml(entry.zone.name)}</strong></a>:
+                            ${escapeHtml(entry.issues.map(issue => issue.message).join('; '))}
+                        </li>
+                    `).join('')}
+                </ul>
+            `;
+    }
+
+    /**
+     * Open the geometry validation dialog
+     */
+    window.openGeometryValidation = function() {
+        auditYardMoveZones();
+        renderGeometryAudit();
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('geometryModal')).show();
+    };
+
+    /**
+     * Save the geometry policy for this database and re-run the audit
+     */
+    window.saveGeometryPolicy = async function() {
+        const maxAreaHectares = parseFloat(document.getElementById('policyMaxArea').value);
+        const policy = {
+            maxAreaSquareMeters: maxAreaHectares > 0 ? Math.round(maxAreaHectares * 10000) : 0,
+            checkOverlaps: document.getElementById('policyCheckOverlaps').checked,
+            mode: document.getElementById('policyMode').value === 'block' ? 'block' : 'warn'
+        };
+
+        try {
+            const databaseDoc = await getCurrentDatabaseDoc();
+            await databaseDoc.update({ geometry_policy: policy });
+            geometryPolicy = policy;
+            auditYardMoveZones();
+            renderGeometryAudit();
+            renderZones();
+            showAlert(t('Saved the geometry policy'), 'success');
+        } catch (error) {
+            console.error('Error saving geometry policy:', error);
+            showAlert(t('Error saving geometry policy: {message}', { message: error.message }), 'danger');
+        }
+    };
+
+    /**
+     * Get the collection holding this database's time-bounded Yard Move designations, one
+     * document per zone id
+     */
+    async function getDesignationsCollection() {
+        const databaseDoc = await getCurrentDatabaseDoc();
+        return databaseDoc.collection('yard_move_designations');
+    }
+
+    /**
+     * Read a designation document into { zoneId, zoneName, startsAt, endsAt, active }.
+     * active is false while a scheduled zone waits for its start.
+     */
+    function toDesignation(data) {
+        return {
+            zoneId: data.zone_id,
+            zoneName: data.zone_name || '',
+            startsAt: data.starts_at ? new Date(data.starts_at) : null,
+            endsAt: data.ends_at ? new Date(data.ends_at) : null,
+            active: !!data.active
+        };
+    }
+
+    /**
+     * Load this database's designations; without them every Yard Move Zone is permanent
+     */
+    async function loadDesignations() {
+        try {
+            const snapshot = await (await getDesignationsCollection()).get();
+            designations = new Map(snapshot.docs.map(doc => [doc.id, toDesignation(doc.data())]));
+        } catch (error) {
+            console.warn('Could not load Yard Move designation periods:', error.message);
+            designations = new Map();
+        }
+    }
+
+    /**
+     * Save designations ({ zoneId, startsAt, endsAt, active }), replacing any a zone had
+     */
+    async function saveDesignations(entries) {
+        const session = await getSession();
+        const collection = await getDesignationsCollection();
+        const toIso = date => date ? date.toISOString() : null;
+
+        for (let i = 0; i < entries.length; i += FIRESTORE_BATCH_SIZE) {
+            const batch = window.db.batch();
+            entries.slice(i, i + FIRESTORE_BATCH_SIZE).forEach(entry => {
+                batch.set(collection.doc(entry.zoneId), {
+                    zone_id: entry.zoneId,
+                    zone_name: getZoneName(entry.zoneId),
+                    starts_at: toIso(entry.startsAt),
+                    ends_at: toIso(entry.endsAt),
+                    active: entry.active,
+                    user_name: session.userName || null,
+                    updated_at: firebase.firestore.FieldValue.serverTimestamp()
+                });
+            });
+            await batch.commit();
+        }
+        entries.forEach(entry => designations.set(entry.zoneId, {
+            zoneId: entry.zoneId,
+            zoneName: getZoneName(entry.zoneId),
+            startsAt: entry.startsAt || null,
+            endsAt: entry.endsAt || null,
+            active: entry.active
+        }));
+    }
+
+    /**
+     * Delete the designations of zones, making them permanent or cancelling their schedule
+     */
+    async function deleteDesignations(zoneIds) {
+        const collection = await getDesignationsCollection();
+        for (let i = 0; i < zoneIds.length; i += FIRESTORE_BATCH_SIZE) {
+            const batch = window.db.batch();
+            zoneIds.slice(i, i + FIRESTORE_BATCH_SIZE).forEach(zoneId => batch.delete(collection.doc(zoneId)));
+            await batch.commit();
+        }
+        zoneIds.forEach(zoneId => designations.delete(zoneId));
+    }
+
+    /**
+     * Read a period ({ startsAt, endsAt }) from a pair of date inputs, or null when both are empty.
+     * Throws when the end has passed or is not after the start.
+     */
+    function readDesignationPeriod(startInputId, endInputId) {
+        const startEl = document.getElementById(startInputId);
+        const endEl = document.getElementById(endInputId);
+        if (!startEl || !endEl || (!startEl.value && !endEl.value)) {
+            return null;
+        }
+
+        const period = {
+            startsAt: startEl.value ? new Date(startEl.value) : null,
+            endsAt: endEl.value ? new Date(endEl.value) : null
+        };
+        if (period.endsAt && period.endsAt <= new Date()) {
+            throw new Error(t('The end of the designation period has already passed'));
+        }
+        if (period.startsAt && period.endsAt && period.endsAt <= period.startsAt) {
+            throw new Error(t('The designation period must end after it starts'));
+        }
+        return period;
+    }
+
+    /**
+     * Format a date as the value of a datetime-local input, in local time
+     */
+    function toDateTimeInputValue(date) {
+        if (!date) return '';
+        return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+    }
+
+    /**
+     * Schedule zones to become Yard Move Zones when a period starts
      */
-    function openCreateZone() {
-        if (!api) {
-            showAlert('Geotab API not initialized', 'danger');
-            return;
+    async function scheduleYardMoveZones(zoneIds, period, subject) {
+        try {
+            await saveDesignations(zoneIds.map(zoneId => ({ zoneId: zoneId, ...period, active: false })));
+            Object.values(selectedZoneIds).forEach(selected => zoneIds.forEach(zoneId => selected.delete(zoneId)));
+            renderZones();
+            showAlert(t('{zones} will be added to Yard Move Zones on {date}', {
+                zones: subject,
+                date: formatDateTime(period.startsAt)
+            }), 'success');
+        } catch (error) {
+            console.error('Error scheduling zones:', error);
+            showAlert(t('Could not schedule {zones}: {message}', { zones: subject, message: error.message }), 'danger');
         }
-        
-        // Get database name from the API session
-        api.getSession(function(session) {
-            const database = session.database || 'demo';
-            const createZoneUrl = `https://my.geotab.com/${database}/#map,createNewZone:!t,drivers:all`;
-            window.open(createZoneUrl, '_blank');
-        });
     }
 
     /**
-     * Show/hide button loading state
+     * Keep designations in step with a finished move: zones leaving Yard Move Zones lose theirs,
+     * zones added with a period get one, and scheduled zones become active. The move itself
+     * stands even if this fails.
      */
-    function setButtonLoading(buttonId, loading = true) {
-        const button = document.getElementById(buttonId);
-        if (!button) return;
+    async function updateDesignationsAfterMove(results, change, historyMode, period) {
+        if (change.typeId !== yardMoveTypeId) return;
 
-        const btnText = button.querySelector('.btn-text');
-        const btnLoadingText = button.querySelector('.btn-loading-text');
-
-        if (loading) {
-            button.disabled = true;
-            if (btnText) btnText.style.display = 'none';
-            if (btnLoadingText) btnLoadingText.style.display = 'inline-flex';
-        } else {
-            button.disabled = false;
-            if (btnText) btnText.style.display = 'inline-flex';
-            if (btnLoadingText) btnLoadingText.style.display = 'none';
+        const savedIds = results.filter(r => !r.error).map(r => r.zoneId);
+        try {
+            if (!change.add) {
+                const ids = savedIds.filter(zoneId => designations.has(zoneId));
+                if (ids.length > 0) {
+                    await deleteDesignations(ids);
+                }
+            } else if (historyMode === 'schedule') {
+                await saveDesignations(savedIds
+                    .filter(zoneId => designations.has(zoneId))
+                    .map(zoneId => ({ ...designations.get(zoneId), active: true })));
+            } else if (period && period.endsAt && savedIds.length > 0) {
+                await saveDesignations(savedIds.map(zoneId => ({ zoneId: zoneId, ...period, active: true })));
+            } else {
+                // Adding a scheduled zone by hand replaces its schedule
+                const ids = savedIds.filter(zoneId => designations.has(zoneId) && !designations.get(zoneId).active);
+                if (ids.length === 0) return;
+                await deleteDesignations(ids);
+            }
+            renderZones();
+        } catch (error) {
+            console.warn('Could not update Yard Move designation periods:', error.message);
+            showAlert(t('Could not save the designation period: {message}', { message: error.message }), 'warning');
         }
     }
 
     /**
-     * Log messages (alerts removed from UI)
+     * Apply designation periods after loading: expired Yard Move Zones are removed, scheduled
+     * zones whose period has started are added, and designations of zones that were deleted or
+     * taken out of Yard Move Zones elsewhere are dropped. Zones outside the group filter wait
+     * for a load that shows them.
      */
-    function showAlert(message, type = 'info') {
-        if (type === 'danger' || type === 'warning') {
-            console.error(`[${type}] ${message}`);
-        } else {
-            console.log(`[${type}] ${message}`);
+    async function applyDesignations(allZoneIds) {
+        if (designations.size === 0 || bulkMoveInProgress || getReadOnlyReason()) return;
+
+        const now = new Date();
+        const entries = [...designations.values()];
+        const hasEnded = d => d.endsAt && d.endsAt <= now;
+        const isOnBoard = d => !!findZone(d.zoneId);
+        const isYardMove = d => yardMoveZones.some(zone => zone.id === d.zoneId);
+
+        const expired = entries.filter(d => hasEnded(d) && isOnBoard(d) && isYardMove(d));
+        const due = entries.filter(d => !d.active && !hasEnded(d) && (!d.startsAt || d.startsAt <= now) &&
+            isOnBoard(d) && !isYardMove(d));
+        const stale = entries.filter(d => isOnBoard(d) && !isYardMove(d) && (d.active || hasEnded(d)));
+
+        try {
+            const deletedIds = await findDeletedZoneIds(entries.filter(d => !allZoneIds.has(d.zoneId)).map(d => d.zoneId));
+            const staleIds = [...stale.map(d => d.zoneId), ...deletedIds];
+            if (staleIds.length > 0) {
+                await deleteDesignations(staleIds);
+            }
+        } catch (error) {
+            console.warn('Could not remove outdated designation periods:', error.message);
+        }
+        if (expired.length > 0) {
+            showAlert(tn(expired.length, 'The designation period of {count} Yard Move Zone has ended', 'The designation periods of {count} Yard Move Zones have ended'), 'info');
+            await moveZonesTo(expired.map(d => d.zoneId), { typeId: yardMoveTypeId, add: false }, 'expiry');
+        }
+        if (due.length > 0) {
+            showAlert(tn(due.length, 'The designation period of {count} scheduled zone has started', 'The designation periods of {count} scheduled zones have started'), 'info');
+            await moveZonesTo(due.map(d => d.zoneId), { typeId: yardMoveTypeId, add: true }, 'schedule');
         }
     }
 
     /**
-     * Render zones in the UI
+     * Find which of the zones missing from the feed were deleted: a Get by id returns nothing.
+     * Zones outside the user's data access come back empty too, so only a user who sees the
+     * whole database can tell.
      */
-    function renderZones() {
-        renderZoneList('regularZonesList', filteredRegularZones, 'regular');
-        renderZoneList('yardMoveZonesList', filteredYardMoveZones, 'yardmove');
-        updateCounts();
+    async function findDeletedZoneIds(zoneIds) {
+        if (zoneIds.length === 0 || !permissions.wholeDatabase) return [];
+
+        const found = await fetchZonesById(zoneIds);
+        return zoneIds.filter(id => !found.has(id));
     }
 
     /**
-     * Filter zones based on search input
+     * Check whether a designation ends within the "Expiring soon" window
      */
-    function filterZones(type) {
-        const searchTerm = document.getElementById(type === 'regular' ? 'regularSearch' : 'yardMoveSearch').value.toLowerCase();
-        
-        if (type === 'regular') {
-            filteredRegularZones = regularZones.filter(zone => 
-                zone.name.toLowerCase().includes(searchTerm) || 
-                zone.id.toLowerCase().includes(searchTerm)
-            );
-            renderZoneList('regularZonesList', filteredRegularZones, 'regular');
-        } else {
-            filteredYardMoveZones = yardMoveZones.filter(zone => 
-                zone.name.toLowerCase().includes(searchTerm) || 
-                zone.id.toLowerCase().includes(searchTerm)
-            );
-            renderZoneList('yardMoveZonesList', filteredYardMoveZones, 'yardmove');
-        }
-        
-        updateCounts();
+    function isExpiringSoon(designation) {
+        return !!designation.endsAt && designation.endsAt - Date.now() <= EXPIRING_SOON_DAYS * 86400000;
     }
 
     /**
-     * Render a list of zones
+     * Describe how far away a date is, like "in 3 days", in the user's language
      */
-    function renderZoneList(containerId, zones, type) {
-        const container = document.getElementById(containerId);
-        if (!container) return;
-        
-        if (zones.length === 0) {
-            showEmptyState(containerId);
-            return;
+    function formatCountdown(date) {
+        const minutes = Math.round((date - Date.now()) / 60000);
+        const format = new Intl.RelativeTimeFormat(language, { numeric: 'auto' });
+        if (Math.abs(minutes) < 60) {
+            return format.format(minutes, 'minute');
         }
-        
-        const zonesHtml = zones.map(zone => `
-            <div class="zone-item ${type === 'yardmove' ? 'yard-move-zone' : ''}" 
-                 draggable="true" 
-                 ondragstart="drag(event)" 
-                 data-zone-id="${zone.id}"
-                 data-zone-name="${zone.name}"
-                 data-current-type="${type}">
-                <div class="d-flex justify-content-between align-items-center">
-                    <div>
-                        <strong>${zone.name}</strong>
-                        <small class="d-block opacity-75">ID: ${zone.id}</small>
-                    </div>
-                    <i class="fas fa-grip-vertical"></i>
-                </div>
-            </div>
-        `).join('');
-        
-        container.innerHTML = zonesHtml;
+        if (Math.abs(minutes) < 48 * 60) {
+            return format.format(Math.round(minutes / 60), 'hour');
+        }
+        return format.format(Math.round(minutes / 1440), 'day');
     }
 
     /**
-     * Show empty state message
+     * Render the countdown badge of a zone's designation: when it ends in the Yard Move column,
+     * and when it starts for a zone still waiting in the regular column
      */
-    function showEmptyState(containerId) {
-        const container = document.getElementById(containerId);
-        if (!container) return;
-        
-        const type = containerId.includes('regular') ? 'regular' : 'yard move';
-        
-        container.innerHTML = `
-            <div class="empty-state">
-                <i class="fas fa-inbox"></i>
-                <p>No ${type} zones available</p>
-                <small>Drag zones here to ${type === 'regular' ? 'remove from' : 'add to'} Yard Move Zones</small>
+    function renderDesignationBadge(zone, type) {
+        const designation = designations.get(zone.id);
+        if (!designation) return '';
+
+        let badge = null;
+        if (type === 'yardmove' && designation.endsAt) {
+            badge = {
+                className: isExpiringSoon(designation) ? 'expiring' : '',
+                title: t('Yard Move Zone until {date}', { date: formatDateTime(designation.endsAt) }),
+                text: designation.endsAt > Date.now()
+                    ? t('Expires {when}', { when: formatCountdown(designation.endsAt) })
+                    : t('Expired {when}', { when: formatCountdown(designation.endsAt) })
+            };
+        } else if (type === 'regular' && !designation.active && designation.startsAt) {
+            badge = {
+                className: 'scheduled',
+                title: t('Yard Move Zone from {date}', { date: formatDateTime(designation.startsAt) }),
+                text: t('Starts {when}', { when: formatCountdown(designation.startsAt) })
+            };
+        }
+        if (!badge) return '';
+
+        return `
+            <div class="zone-designation">
+                <span class="badge designation-badge ${badge.className}" title="${escapeHtml(badge.title)}">
+                    <i class="fas fa-hourglass-half me-1"></i>${badge.text}
+                </span>
             </div>
         `;
     }
 
     /**
-     * Update zone counts
+     * Describe a zone's designation period for the preview pane
      */
-    function updateCounts() {
-        const regularCountEl = document.getElementById('regularCount');
-        const yardMoveCountEl = document.getElementById('yardMoveCount');
-        
-        if (regularCountEl) {
-            regularCountEl.textContent = `${filteredRegularZones.length} of ${regularZones.length} zones`;
+    function describeDesignation(designation, isYardMove) {
+        if (!designation) {
+            return isYardMove ? t('Permanent') : '-';
         }
-        if (yardMoveCountEl) {
-            yardMoveCountEl.textContent = `${filteredYardMoveZones.length} of ${yardMoveZones.length} zones`;
+        if (designation.active || !designation.startsAt) {
+            return designation.endsAt ? t('Until {date}', { date: formatDateTime(designation.endsAt) }) : t('Permanent');
         }
+        return designation.endsAt
+            ? t('Scheduled from {start} until {end}', { start: formatDateTime(designation.startsAt), end: formatDateTime(designation.endsAt) })
+            : t('Scheduled from {start}', { start: formatDateTime(designation.startsAt) });
     }
 
     /**
-     * Handle drag start
+     * List the Yard Move Zones whose designation ends soon above the Yard Move column
      */
-    window.drag = function(event) {
-        const zoneId = event.target.dataset.zoneId;
-        const zoneName = event.target.dataset.zoneName;
-        const currentType = event.target.dataset.currentType;
-        
-        event.dataTransfer.setData('text/plain', JSON.stringify({
-            zoneId: zoneId,
-            zoneName: zoneName,
-            currentType: currentType
-        }));
-    };
+    function renderExpiringSoon() {
+        const sectionEl = document.getElementById('expiringSoon');
+        if (!sectionEl) return;
 
-    /**
-     * Allow drop
-     */
-    window.allowDrop = function(event) {
-        event.preventDefault();
-    };
+        const expiring = yardMoveZones
+            .map(zone => ({ zone: zone, designation: designations.get(zone.id) }))
+            .filter(entry => entry.designation && isExpiringSoon(entry.designation))
+            .sort((a, b) => a.designation.endsAt - b.designation.endsAt);
 
-    /**
-     * Handle drag enter
-     */
-    window.dragEnter = function(event) {
-        event.preventDefault();
-        event.currentTarget.classList.add('drag-over');
-    };
+        sectionEl.style.display = expiring.length > 0 ? 'block' : 'none';
+        sectionEl.innerHTML = expiring.length === 0 ? '' : `
+            <div class="expiring-soon-header">
+                <i class="fas fa-hourglass-end me-1"></i>${t('Expiring soon')}
+                <span class="badge designation-badge expiring ms-1">${formatNumber(expiring.length)}</span>
+            </div>
+            <ul class="list-unstyled mb-0">
+                ${expiring.map(entry => `
+                    <li class="d-flex justify-content-between align-items-center gap-2">
+                        <a href="#" onclick="previewZone('${entry.zone.id}'); return false;">${escapeHtml(entry.zone.name)}</a>
+                        <span class="d-flex align-items-center gap-2 flex-shrink-0">
+                            <span class="small" title="${escapeHtml(formatDateTime(entry.designation.endsAt))}">${formatCountdown(entry.designation.endsAt)}</span>
+                            <button type="button" class="btn btn-sm btn-link p-0 requires-edit"
+                                    aria-label="${escapeHtml(t('Change the designation period of {name}', { name: entry.zone.name }))}"
+                                    onclick="openDesignationPeriod('${entry.zone.id}')">${t('Edit')}</button>
+                        </span>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
 
     /**
-     * Handle drag leave
+     * Open the designation period dialog for a zone, by default the previewed one
      */
-    window.dragLeave = function(event) {
-        // Only remove the class if we're leaving the container itself, not a child
-        if (!event.currentTarget.contains(event.relatedTarget)) {
-            event.currentTarget.classList.remove('drag-over');
-        }
+    window.openDesignationPeriod = function(zoneId = previewZoneId) {
+        const zone = findZone(zoneId);
+        if (!zone) return;
+
+        const designation = designations.get(zone.id);
+        editingDesignationZoneId = zone.id;
+        document.getElementById('designationZoneName').textContent = zone.name;
+        document.getElementById('designationEditStart').value = toDateTimeInputValue(designation && designation.startsAt);
+        document.getElementById('designationEditEnd').value = toDateTimeInputValue(designation && designation.endsAt);
+        bootstrap.Modal.getOrCreateInstance(document.getElementById('designationModal')).show();
     };
 
     /**
-     * Handle drop
+     * Save the period from the dialog. Clearing both dates makes a Yard Move Zone permanent, or
+     * cancels the schedule of a zone that has not started yet.
      */
-    window.drop = async function(event, targetType) {
-        event.preventDefault();
-        event.currentTarget.classList.remove('drag-over');
-        
-        const data = JSON.parse(event.dataTransfer.getData('text/plain'));
-        const { zoneId, zoneName, currentType } = data;
-        
-        // Don't do anything if dropping in the same container
-        if (currentType === targetType) {
+    window.saveDesignationPeriod = async function() {
+        if (getReadOnlyReason()) {
+            showAlert(getReadOnlyReason(), 'warning');
             return;
         }
-        
+
+        const zone = findZone(editingDesignationZoneId);
+        if (!zone) return;
+
+        const isYardMove = yardMoveZones.includes(zone);
+        let period;
         try {
-            let action, actionText;
-            
-            if (targetType === 'yardmove') {
-                action = 'add';
-                actionText = 'Adding';
-            } else {
-                action = 'remove';
-                actionText = 'Removing';
-            }
-            
-            showAlert(`${actionText} "${zoneName}" ${action === 'add' ? 'to' : 'from'} Yard Move Zones...`, 'info');
-            
-            if (action === 'add') {
-                await addYardMoveType(zoneId);
-            } else {
-                await removeYardMoveType(zoneId);
+            period = readDesignationPeriod('designationEditStart', 'designationEditEnd');
+            if (period && !isYardMove && !(period.startsAt && period.startsAt > new Date())) {
+                throw new Error(t('A scheduled zone needs a start date in the future'));
             }
-            
-            // Move zone between arrays
-            if (targetType === 'yardmove') {
-                const zoneIndex = regularZones.findIndex(z => z.id === zoneId);
-                if (zoneIndex !== -1) {
-                    const zone = regularZones.splice(zoneIndex, 1)[0];
-                    // Update the zone's zoneTypes to include the yard move type
-                    zone.zoneTypes = [...(zone.zoneTypes || []), { id: yardMoveTypeId }];
-                    yardMoveZones.push(zone);
-                }
-            } else {
-                const zoneIndex = yardMoveZones.findIndex(z => z.id === zoneId);
-                if (zoneIndex !== -1) {
-                    const zone = yardMoveZones.splice(zoneIndex, 1)[0];
-                    // Remove yard move type from zone's zoneTypes
-                    zone.zoneTypes = (zone.zoneTypes || []).filter(zt => zt.id !== yardMoveTypeId);
-                    regularZones.push(zone);
-                }
+        } catch (error) {
+            showAlert(error.message, 'warning');
+            return;
+        }
+
+        try {
+            if (period) {
+                await saveDesignations([{ zoneId: zone.id, ...period, active: isYardMove }]);
+            } else if (designations.has(zone.id)) {
+                await deleteDesignations([zone.id]);
             }
-            
-            // Update filtered arrays and re-render
-            filteredRegularZones = [...regularZones];
-            filteredYardMoveZones = [...yardMoveZones];
-            
-            // Clear search boxes to show all zones
-            const regularSearch = document.getElementById('regularSearch');
-            const yardMoveSearch = document.getElementById('yardMoveSearch');
-            if (regularSearch) regularSearch.value = '';
-            if (yardMoveSearch) yardMoveSearch.value = '';
-            
+            bootstrap.Modal.getOrCreateInstance(document.getElementById('designationModal')).hide();
             renderZones();
-            showAlert(`Successfully ${action === 'add' ? 'added' : 'removed'} "${zoneName}" ${action === 'add' ? 'to' : 'from'} Yard Move Zones`, 'success');
-            
+            showAlert(t('Saved the designation period of "{name}"', { name: zone.name }), 'success');
         } catch (error) {
-            console.error('Error updating zone:', error);
-            showAlert('Error updating zone: ' + error.message, 'danger');
+            console.error('Error saving designation period:', error);
+            showAlert(t('Error saving designation period: {message}', { message: error.message }), 'danger');
         }
     };
 
     /**
-     * Clear search input and reset filtered zones
+     * Save text content as a downloaded file
      */
-    window.clearSearch = function(type) {
-        const searchInput = document.getElementById(type === 'regular' ? 'regularSearch' : 'yardMoveSearch');
-        if (searchInput) {
-            searchInput.value = '';
-            filterZones(type);
+    function downloadFile(content, fileName, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Escape text for HTML content and attributes. Zone, zone type, group and user names are
+     * typed by MyGeotab users, so every one of them goes through this on its way into innerHTML.
+     */
+    function escapeHtml(text) {
+        return String(text === undefined || text === null ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Escape text for XML content and attributes
+     */
+    function escapeXml(text) {
+        return String(text === undefined || text === null ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    /**
+     * Quote a CSV cell when it contains separators, quotes or line breaks
+     */
+    function escapeCsv(value) {
+        const text = String(value === undefined || value === null ? '' : value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    /**
+     * Get a zone's polygon as a closed, counter-clockwise ring of lon/lat points
+     */
+    function getClosedRing(points) {
+        if (points.length < 3) return [];
+
+        const ring = [...points];
+        const first = ring[0];
+        const last = ring[ring.length - 1];
+        if (first.x !== last.x || first.y !== last.y) {
+            ring.push(first);
         }
-    };
+
+        let signedArea = 0;
+        for (let i = 0; i < ring.length - 1; i++) {
+            signedArea += ring[i].x * ring[i + 1].y - ring[i + 1].x * ring[i].y;
+        }
+        return signedArea < 0 ? ring.reverse() : ring;
+    }
 
     /**
-     * Refresh zones data
+     * Get the zones an export applies to
      */
-    window.refreshZones = async function() {
-        setButtonLoading('refreshBtn', true);
+    function getExportZones(scope) {
+        if (scope === 'filtered') {
+            return filteredYardMoveZones;
+        }
+        if (scope === 'selected') {
+            return [...regularZones, ...yardMoveZones].filter(zone =>
+                Object.values(selectedZoneIds).some(selected => selected.has(zone.id))
+            );
+        }
+        return yardMoveZones;
+    }
+
+    /**
+     * Build a GeoJSON FeatureCollection of zone polygons
+     */
+    function buildGeoJson(zones, metadata) {
+        return JSON.stringify({
+            type: 'FeatureCollection',
+            metadata: metadata,
+            features: zones.map(zone => {
+                const ring = getClosedRing(zone.points || []);
+                return {
+                    type: 'Feature',
+                    id: zone.id,
+                    geometry: ring.length > 0
+                        ? { type: 'Polygon', coordinates: [ring.map(p => [p.x, p.y])] }
+                        : null,
+                    properties: {
+                        id: zone.id,
+                        name: zone.name,
+                        externalReference: zone.externalReference || '',
+                        zoneTypeIds: (zone.zoneTypes || []).map(zt => zt.id),
+                        yardMove: yardMoveZones.includes(zone),
+                        areaSquareMeters: Math.round(getPolygonArea(zone.points || [])),
+                        perimeterMeters: Math.round(getPolygonPerimeter(zone.points || []))
+                    }
+                };
+            })
+        }, null, 2);
+    }
+
+    /**
+     * Build a KML document with one placemark per zone polygon
+     */
+    function buildKml(zones, metadata) {
+        const placemarks = zones.map(zone => {
+            const ring = getClosedRing(zone.points || []);
+            const geometry = ring.length > 0 ? `
+            <Polygon>
+                <outerBoundaryIs>
+                    <LinearRing>
+                        <coordinates>${ring.map(p => `${p.x},${p.y},0`).join(' ')}</coordinates>
+                    </LinearRing>
+                </outerBoundaryIs>
+            </Polygon>` : '';
+
+            return `
+        <Placemark id="${escapeXml(zone.id)}">
+            <name>${escapeXml(zone.name)}</name>
+            <styleUrl>#${yardMoveZones.includes(zone) ? 'yardMoveZone' : 'regularZone'}</styleUrl>
+            <ExtendedData>
+                <Data name="id"><value>${escapeXml(zone.id)}</value></Data>
+                <Data name="externalReference"><value>${escapeXml(zone.externalReference || '')}</value></Data>
+                <Data name="zoneTypeIds"><value>${escapeXml((zone.zoneTypes || []).map(zt => zt.id).join(';'))}</value></Data>
+                <Data name="areaSquareMeters"><value>${Math.round(getPolygonArea(zone.points || []))}</value></Data>
+            </ExtendedData>${geometry}
+        </Placemark>`;
+        }).join('');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2">
+    <Document>
+        <name>${escapeXml(`Yard Move Zones - ${metadata.database}`)}</name>
+        <ExtendedData>
+            <Data name="database"><value>${escapeXml(metadata.database)}</value></Data>
+            <Data name="zoneTypeId"><value>${escapeXml(metadata.zoneType.id)}</value></Data>
+            <Data name="zoneTypeName"><value>${escapeXml(metadata.zoneType.name)}</value></Data>
+            <Data name="exportedAt"><value>${escapeXml(metadata.exportedAt)}</value></Data>
+        </ExtendedData>
+        <Style id="yardMoveZone">
+            <LineStyle><color>ff53280c</color><width>2</width></LineStyle>
+            <PolyStyle><color>5953280c</color></PolyStyle>
+        </Style>
+        <Style id="regularZone">
+            <LineStyle><color>ff2b5ae5</color><width>2</width></LineStyle>
+            <PolyStyle><color>592b5ae5</color></PolyStyle>
+        </Style>${placemarks}
+    </Document>
+</kml>
+`;
+    }
+
+    /**
+     * Build a CSV of zone id, name, centroid and area
+     */
+    function buildZonesCsv(zones, metadata) {
+        const header = ['id', 'name', 'externalReference', 'centroidLatitude', 'centroidLongitude',
+            'areaSquareMeters', 'yardMove', 'zoneTypeId', 'zoneTypeName', 'database'];
+        const rows = zones.map(zone => {
+            const centroid = getCentroid(zone.points || []);
+            return [
+                zone.id,
+                zone.name,
+                zone.externalReference || '',
+                centroid ? centroid.y.toFixed(6) : '',
+                centroid ? centroid.x.toFixed(6) : '',
+                Math.round(getPolygonArea(zone.points || [])),
+                yardMoveZones.includes(zone),
+                metadata.zoneType.id,
+                metadata.zoneType.name,
+                metadata.database
+            ];
+        });
+
+        return [header, ...rows].map(row => row.map(escapeCsv).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Export Yard Move Zones as GeoJSON, KML or CSV
+     */
+    window.exportZonesAs = async function(format) {
+        const scopeInput = document.querySelector('input[name="exportScope"]:checked');
+        const scope = scopeInput ? scopeInput.value : 'all';
+        const zones = getExportZones(scope);
+
+        if (zones.length === 0) {
+            showAlert(t('There are no zones to export for this selection'), 'warning');
+            return;
+        }
+
+        let database = 'unknown';
         try {
-            await loadZones();
-        } finally {
-            setButtonLoading('refreshBtn', false);
+            const session = await getSession();
+            database = session.database || database;
+        } catch (error) {
+            console.error('Error reading session for export:', error);
+        }
+
+        const exportedAt = new Date().toISOString();
+        const metadata = {
+            database: database,
+            zoneType: { id: yardMoveTypeId, name: 'Yard Move Zones' },
+            scope: scope,
+            exportedAt: exportedAt
+        };
+        const baseName = `yard-move-zones-${database}-${exportedAt.split('T')[0]}`;
+
+        if (format === 'geojson') {
+            downloadFile(buildGeoJson(zones, metadata), `${baseName}.geojson`, 'application/geo+json');
+        } else if (format === 'kml') {
+            downloadFile(buildKml(zones, metadata), `${baseName}.kml`, 'application/vnd.google-earth.kml+xml');
+        } else if (format === 'csv') {
+            downloadFile(buildZonesCsv(zones, metadata), `${baseName}.csv`, 'text/csv');
+        } else {
+            throw new Error(`Unknown export format: ${format}`);
         }
+
+        showAlert(tn(zones.length, 'Exported {count} zone as {format}', 'Exported {count} zones as {format}', { format: format.toUpperCase() }), 'success');
     };
 
     /**
@@ -541,32 +6312,30 @@ geotab.addin.yardMoveZones = function () {
             }
         };
         
-        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `zones-export-${new Date().toISOString().split('T')[0]}.json`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        downloadFile(JSON.stringify(data, null, 2), `zones-export-${new Date().toISOString().split('T')[0]}.json`, 'application/json');
         
-        showAlert('Zones data exported successfully', 'success');
+        showAlert(t('Zones data exported successfully'), 'success');
     };
 
+    /**
+     * Check whether an element takes typed text, and so has its own undo
+     */
+    function isTextEntry(element) {
+        if (!element) return false;
+        if (element.isContentEditable || element.tagName === 'TEXTAREA') return true;
+        return element.tagName === 'INPUT' &&
+            ['text', 'search', 'email', 'url', 'tel', 'password', 'number'].includes((element.type || 'text').toLowerCase());
+    }
+
     /**
      * Setup event listeners
      */
     function setupEventListeners() {
-        // Add debounced search functionality
-        let searchTimeout;
-        
-        function debounceSearch(type) {
-            clearTimeout(searchTimeout);
-            searchTimeout = setTimeout(() => {
-                filterZones(type);
-            }, 300);
+        // focus() runs on every visit, but the listeners only need attaching once
+        if (eventListenersAttached) {
+            return;
         }
+        eventListenersAttached = true;
         
         // Add event listeners for search inputs
         const regularSearch = document.getElementById('regularSearch');
@@ -588,6 +6357,18 @@ geotab.addin.yardMoveZones = function () {
                 loadZones();
             }
             
+            // Ctrl/Cmd + Z to undo, Ctrl/Cmd + Shift + Z (or Ctrl + Y) to redo; text fields keep their own undo
+            if ((event.ctrlKey || event.metaKey) && !isTextEntry(event.target)) {
+                const key = event.key.toLowerCase();
+                if (key === 'z' && !event.shiftKey) {
+                    event.preventDefault();
+                    window.undoZoneChange();
+                } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+                    event.preventDefault();
+                    window.redoZoneChange();
+                }
+            }
+            
             // Escape to clear search boxes
             if (event.key === 'Escape') {
                 if (regularSearch && regularSearch.value) {
@@ -598,6 +6379,13 @@ geotab.addin.yardMoveZones = function () {
                 }
             }
         });
+        
+        // Queued changes are retried as soon as the connection comes back
+        window.addEventListener('online', () => {
+            if (moveQueue.length > 0) {
+                window.retryQueuedMoves();
+            }
+        });
     }
 
     return {
@@ -617,11 +6405,20 @@ geotab.addin.yardMoveZones = function () {
 
             elAddin = document.getElementById('yardMoveZones');
 
-            if (state.translate) {
-                state.translate(elAddin || '');
-            }
+            // Loading waits for this, so the zone type is only created by users allowed to
+            permissionCheck = checkPermissions();
             
-            initializeCallback();
+            // Static text is translated before MyGeotab shows the add-in, the page title included
+            loadTranslations().then(() => {
+                translateElement(elAddin);
+                translateElement(document.head);
+                if (state.translate) {
+                    state.translate(elAddin || '');
+                }
+                renderPermissions();
+                renderSessionLog();
+                initializeCallback();
+            });
         },
 
         /**
@@ -645,8 +6442,9 @@ geotab.addin.yardMoveZones = function () {
             // Setup event listeners
             setupEventListeners();
             
-            // Load zones data
+            // Load zones data, then keep it in step with changes made elsewhere
             loadZones();
+            startLiveSync();
             
             // Show main content
             if (elAddin) {
@@ -668,6 +6466,9 @@ geotab.addin.yardMoveZones = function () {
          * @param {object} freshState - The page state object allows access to URL, page navigation and global group filter.
          */
         blur: function () {
+            stopLiveSync();
+            stopMoveQueue();
+            
             // Hide main content
             if (elAddin) {
                 elAddin.style.display = 'none';
@@ -0,0 +1,315 @@
+/**
+ * Seeded MyGeotab databases for the development harness and tests. Each fixture is a function,
+ * so every mount starts from a fresh copy.
+ */
+(function () {
+    'use strict';
+
+    const YardMoveDev = window.YardMoveDev = window.YardMoveDev || {};
+
+    const METERS_PER_DEGREE = 111320;
+    const YARD_TYPE = { id: 'b1', name: 'Yard Move Zones' };
+    const CUSTOMERS_TYPE = { id: 'b2', name: 'Customers' };
+    const FUEL_TYPE = { id: 'b3', name: 'Fuel Stops' };
+
+    /**
+     * Closed rectangle of about width x height meters with its south-west corner at lon/lat
+     */
+    function rectangle(lon, lat, width, height) {
+        const dx = width / (METERS_PER_DEGREE * Math.cos(lat * Math.PI / 180));
+        const dy = height / METERS_PER_DEGREE;
+        return [
+            { x: lon, y: lat },
+            { x: lon + dx, y: lat },
+            { x: lon + dx, y: lat + dy },
+            { x: lon, y: lat + dy },
+            { x: lon, y: lat }
+        ];
+    }
+
+    /**
+     * Build a zone in the shape MyGeotab returns
+     */
+    function zone(id, name, points, zoneTypes = [], extra = {}) {
+        return {
+            id: id,
+            name: name,
+            comment: '',
+            externalReference: '',
+            groups: [{ id: 'b10' }],
+            zoneTypes: zoneTypes.map(type => ({ id: type.id })),
+            points: points,
+            displayed: true,
+            ...extra
+        };
+    }
+
+    /**
+     * Trips of a few vehicles over the last days: one truck parks overnight at the Hamilton
+     * terminal, another at a lot with no zone, and a shunter makes short low-speed moves in the
+     * Toronto yard
+     */
+    function trips() {
+        const result = [];
+        const day = 86400000;
+        const at = (daysAgo, hour) => {
+            const date = new Date(Date.now() - daysAgo * day);
+            date.setHours(hour, 0, 0, 0);
+            return date;
+        };
+        const trip = (deviceId, stop, nextTripStart, point, distance, maximumSpeed) => {
+            result.push({
+                id: `b5${result.length.toString(16)}`,
+                device: { id: deviceId },
+                driver: { id: 'b100' },
+                start: new Date(stop.getTime() - 3600000).toISOString(),
+                stop: stop.toISOString(),
+                nextTripStart: nextTripStart.toISOString(),
+                stopPoint: point,
+                distance: distance,
+                maximumSpeed: maximumSpeed
+            });
+        };
+
+        for (let night = 1; night <= 4; night++) {
+            trip('b400', at(night, 18), at(night - 1, 6), { x: -79.8480 + night * 0.0001, y: 43.2512 }, 42, 96);
+        }
+        for (let night = 1; night <= 3; night++) {
+            trip('b401', at(night, 19), at(night - 1, 5), { x: -79.7003, y: 43.7501 + night * 0.0001 }, 35, 88);
+        }
+        for (let move = 0; move < 12; move++) {
+            trip('b402', new Date(at(1, 9).getTime() + move * 1800000), new Date(at(1, 9).getTime() + move * 1800000 + 600000),
+                { x: -79.6190 + (move % 4) * 0.0002, y: 43.6810 }, 0.2, 12);
+        }
+        trip('b401', at(6, 20), at(5, 7), { x: -79.3995, y: 43.7204 }, 20, 70);
+        return result;
+    }
+
+    function devices() {
+        return [
+            { id: 'b400', name: 'Truck 101', groups: [{ id: 'b10' }] },
+            { id: 'b401', name: 'Truck 102', groups: [{ id: 'b10' }] },
+            { id: 'b402', name: 'Shunter 7', groups: [{ id: 'b10' }] }
+        ];
+    }
+
+    function groups() {
+        return [
+            { id: 'GroupCompanyId', name: '**Company Group**', children: [{ id: 'b10' }, { id: 'b11' }] },
+            { id: 'b10', name: 'Ontario', children: [] },
+            { id: 'b11', name: 'Quebec', children: [] }
+        ];
+    }
+
+    function user(securityGroupId, language = 'en', companyGroups = [{ id: 'GroupCompanyId' }]) {
+        return {
+            id: 'b100',
+            name: 'dev@example.com',
+            firstName: 'Dev',
+            lastName: 'User',
+            language: language,
+            securityGroups: [{ id: securityGroupId }],
+            companyGroups: companyGroups
+        };
+    }
+
+    /**
+     * A handful of yards and customer sites, two of them already Yard Move Zones
+     */
+    function basic() {
+        const zones = [
+            zone('b20', 'YARD - Toronto DC', rectangle(-79.62, 43.68, 300, 200), [YARD_TYPE], { externalReference: 'DC-TOR' }),
+            zone('b21', 'YARD - Montreal DC', rectangle(-73.70, 45.47, 250, 250), [YARD_TYPE], { externalReference: 'DC-MTL', groups: [{ id: 'b11' }] }),
+            zone('b22', 'Terminal - Hamilton', rectangle(-79.85, 43.25, 400, 300), [], { externalReference: 'TRM-HAM' }),
+            zone('b23', 'Terminal - Ottawa', rectangle(-75.62, 45.34, 350, 200), [], { externalReference: 'TRM-OTT' }),
+            zone('b24', 'Customer - Acme Foods', rectangle(-79.40, 43.72, 120, 90), [CUSTOMERS_TYPE]),
+            zone('b25', 'Customer - Northwind', rectangle(-79.51, 43.81, 100, 80), [CUSTOMERS_TYPE]),
+            zone('b26', 'Customer - Laval Grocers', rectangle(-73.75, 45.56, 90, 90), [CUSTOMERS_TYPE], { groups: [{ id: 'b11' }] }),
+            zone('b27', 'Fuel - Highway 401', rectangle(-79.55, 43.70, 80, 60), [FUEL_TYPE]),
+            zone('b28', 'Fuel - Autoroute 40', rectangle(-73.80, 45.50, 80, 60), [FUEL_TYPE], { groups: [{ id: 'b11' }] }),
+            zone('b29', 'Drop lot - Mississauga', rectangle(-79.64, 43.59, 150, 150)),
+            zone('b2a', 'Drop lot - Brampton', rectangle(-79.76, 43.70, 150, 120)),
+            zone('b2b', 'Head office', rectangle(-79.38, 43.65, 60, 60), [], { comment: 'Not a yard' })
+        ];
+
+        return {
+            session: { database: 'devdb', userName: 'dev@example.com' },
+            entities: {
+                Zone: zones,
+                ZoneType: [YARD_TYPE, CUSTOMERS_TYPE, FUEL_TYPE],
+                Group: groups(),
+                User: [user('GroupEverythingSecurityId')],
+                Device: devices(),
+                Trip: trips(),
+                DutyStatusLog: [
+                    { id: 'b200', status: 'YM', dateTime: new Date(Date.now() - 86400000).toISOString(), driver: { id: 'b100' }, location: { location: { x: -79.619, y: 43.681 } } },
+                    { id: 'b201', status: 'YM', dateTime: new Date(Date.now() - 7200000).toISOString(), driver: { id: 'b100' }, location: { location: { x: -79.849, y: 43.251 } } }
+                ]
+            },
+            securityClearances: [],
+            firestore: {}
+        };
+    }
+
+    /**
+     * A database where nobody has opened the add-in yet: no Yard Move Zones type
+     */
+    function fresh() {
+        const fixture = basic();
+        fixture.entities.ZoneType = [CUSTOMERS_TYPE, FUEL_TYPE];
+        fixture.entities.Zone.forEach(z => {
+            z.zoneTypes = z.zoneTypes.filter(zt => zt.id !== YARD_TYPE.id);
+        });
+        return fixture;
+    }
+
+    /**
+     * The basic database seen by a user whose custom clearance derives from View Only
+     */
+    function readOnly() {
+        const fixture = basic();
+        fixture.entities.User = [user('b300')];
+        fixture.securityClearances = [
+            { id: 'GroupViewOnlySecurityId', name: '**ViewOnlySecurity**', children: [{ id: 'b300' }] },
+            { id: 'b300', name: 'Dispatch viewers', children: [], securityFilters: [] }
+        ];
+        return fixture;
+    }
+
+    /**
+     * A database without any zone types, seen by a dispatcher whose clearance manages zones but
+     * not zone types, so nobody has been able to create the Yard Move Zones type yet
+     */
+    function noZoneTypes() {
+        const fixture = fresh();
+        fixture.entities.ZoneType = [];
+        fixture.entities.Zone.forEach(z => {
+            z.zoneTypes = [];
+        });
+        fixture.entities.User = [user('b301')];
+        fixture.securityClearances = [
+            { id: 'GroupSupervisorSecurityId', name: '**SupervisorSecurity**', children: [{ id: 'b301' }] },
+            { id: 'b301', name: 'Dispatchers', children: [], securityFilters: [{ securityIdentifier: 'ManageZoneTypes', isAdd: false }] }
+        ];
+        return fixture;
+    }
+
+    /**
+     * The basic database seen by a user whose data access covers Ontario only, with Montreal's
+     * Yard Move Zone already published and given a period by someone who sees Quebec
+     */
+    function regional() {
+        const fixture = basic();
+        const databasePath = 'geotab_databases/devdb-doc';
+        const montreal = fixture.entities.Zone.find(z => z.id === 'b21');
+        fixture.entities.User = [user('GroupEverythingSecurityId', 'en', [{ id: 'b10' }])];
+        fixture.firestore = {
+            [databasePath]: { database_name: 'devdb', active: true },
+            [`${databasePath}/yard_move_zones/b21`]: { id: 'b21', name: montreal.name, version: null, polygon: montreal.points },
+            [`${databasePath}/yard_move_designations/b21`]: {
+                zone_id: 'b21',
+                zone_name: montreal.name,
+                starts_at: null,
+                ends_at: new Date(Date.now() + 30 * 86400000).toISOString(),
+                active: true,
+                user_name: 'quebec@example.com'
+            }
+        };
+        return fixture;
+    }
+
+    /**
+     * Yards with geometry problems: a crossing polygon, an oversize zone and two overlapping yards
+     */
+    function geometry() {
+        const fixture = basic();
+        fixture.entities.Zone.push(
+            zone('b30', 'Bowtie yard', [
+                { x: -79.70, y: 43.60 }, { x: -79.69, y: 43.61 }, { x: -79.69, y: 43.60 }, { x: -79.70, y: 43.61 }, { x: -79.70, y: 43.60 }
+            ]),
+            zone('b31', 'Whole county', rectangle(-80.20, 43.40, 20000, 15000)),
+            zone('b32', 'YARD - Toronto DC annex', rectangle(-79.6195, 43.6805, 200, 200), [YARD_TYPE])
+        );
+        return fixture;
+    }
+
+    /**
+     * The basic database with time-bounded designations: one ended, one ending in two days and a
+     * scheduled zone whose period started an hour ago
+     */
+    function designations() {
+        const fixture = basic();
+        const hour = 3600000;
+        const at = offset => new Date(Date.now() + offset).toISOString();
+        const databasePath = 'geotab_databases/devdb-doc';
+        const designation = (zoneId, zoneName, startsAt, endsAt, active) => ({
+            zone_id: zoneId,
+            zone_name: zoneName,
+            starts_at: startsAt,
+            ends_at: endsAt,
+            active: active,
+            user_name: 'dev@example.com'
+        });
+
+        fixture.firestore = {
+            [databasePath]: { database_name: 'devdb', active: true },
+            [`${databasePath}/yard_move_designations/b21`]: designation('b21', 'YARD - Montreal DC', at(-30 * 24 * hour), at(-hour), true),
+            [`${databasePath}/yard_move_designations/b20`]: designation('b20', 'YARD - Toronto DC', null, at(48 * hour), true),
+            [`${databasePath}/yard_move_designations/b22`]: designation('b22', 'Terminal - Hamilton', at(-hour), at(10 * 24 * hour), false)
+        };
+        return fixture;
+    }
+
+    /**
+     * The basic database after a copy and a race between two admins: a renamed copy of the Yard
+     * Move Zones type carrying two terminals, a second type of the exact name carrying a lot, and a
+     * deleted type still carried by a fuel stop
+     */
+    function duplicateTypes() {
+        const fixture = basic();
+        const copyType = { id: 'b4', name: 'Yard move zones (copy)' };
+        const namesakeType = { id: 'b5', name: 'Yard Move Zones' };
+        fixture.entities.ZoneType.push(copyType, namesakeType);
+        fixture.entities.Zone.forEach(z => {
+            if (z.id === 'b22' || z.id === 'b23') {
+                z.zoneTypes.push({ id: copyType.id });
+            } else if (z.id === 'b29') {
+                z.zoneTypes.push({ id: namesakeType.id });
+            } else if (z.id === 'b27') {
+                z.zoneTypes.push({ id: 'b6' });
+            }
+        });
+        return fixture;
+    }
+
+    /**
+     * Enough zones to need two feed pages and a virtualized list
+     */
+    function large(count = 6000) {
+        const fixture = basic();
+        for (let i = 0; i < count; i++) {
+            const column = i % 100;
+            const row = Math.floor(i / 100);
+            fixture.entities.Zone.push(zone(
+                `c${i.toString(16)}`,
+                `Site ${String(i + 1).padStart(5, '0')}`,
+                rectangle(-81 + column * 0.01, 42 + row * 0.01, 100, 100),
+                i % 50 === 0 ? [YARD_TYPE] : []
+            ));
+        }
+        return fixture;
+    }
+
+    YardMoveDev.fixtures = {
+        basic: basic,
+        fresh: fresh,
+        readOnly: readOnly,
+        noZoneTypes: noZoneTypes,
+        regional: regional,
+        geometry: geometry,
+        designations: designations,
+        duplicateTypes: duplicateTypes,
+        large: large
+    };
+    YardMoveDev.fixtureTypes = { yard: YARD_TYPE, customers: CUSTOMERS_TYPE, fuel: FUEL_TYPE };
+})();
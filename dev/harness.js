@@ -0,0 +1,144 @@
+/**
+ * Mounts the add-in outside MyGeotab: the markup of ../index.html without its scripts (so the
+ * production Firebase project is never initialized), ../addin.js, a mock api over a fixture
+ * database and the local Firestore stand-in.
+ */
+(function () {
+    'use strict';
+
+    const YardMoveDev = window.YardMoveDev = window.YardMoveDev || {};
+
+    const ADDIN_MARKUP_URL = '../index.html';
+    const ADDIN_SCRIPT_URL = '../addin.js';
+    const SETTLE_POLL_MS = 10;
+    const SETTLE_IDLE_ROUNDS = 3;
+    const SETTLE_TIMEOUT_MS = 10000;
+
+    let markupRequest = null;
+    let scriptRequest = null;
+    let mounted = null;
+
+    /**
+     * Fetch the add-in's markup once, leaving out every script in it
+     */
+    function loadMarkup() {
+        if (!markupRequest) {
+            markupRequest = fetch(ADDIN_MARKUP_URL)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Could not load ${ADDIN_MARKUP_URL}: HTTP ${response.status}`);
+                    }
+                    return response.text();
+                })
+                .then(html => {
+                    const page = new DOMParser().parseFromString(html, 'text/html');
+                    const root = page.getElementById('yardMoveZones');
+                    root.querySelectorAll('script').forEach(script => script.remove());
+                    return root;
+                });
+        }
+        return markupRequest;
+    }
+
+    /**
+     * Load addin.js once; it registers its factory on geotab.addin like in MyGeotab
+     */
+    function loadAddinScript() {
+        if (!scriptRequest) {
+            window.geotab = window.geotab || { addin: {} };
+            scriptRequest = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = ADDIN_SCRIPT_URL;
+                script.onload = resolve;
+                script.onerror = () => reject(new Error(`Could not load ${ADDIN_SCRIPT_URL}`));
+                document.head.appendChild(script);
+            });
+        }
+        return scriptRequest;
+    }
+
+    /**
+     * The page state MyGeotab hands the add-in, with a settable group filter.
+     * Without a language the add-in reads the fixture user's.
+     */
+    function createState(options) {
+        return {
+            language: options.language,
+            groupFilter: options.groupFilter || [{ id: 'GroupCompanyId' }],
+            translate() {},
+            getGroupFilter() {
+                return this.groupFilter;
+            }
+        };
+    }
+
+    /**
+     * Mount a fresh add-in into host, replacing any earlier one.
+     * options: fixture (name in YardMoveDev.fixtures), latencyMs, groupFilter.
+     * Resolves once initialize has called back and focus has started loading.
+     */
+    async function mountAddin(host, options = {}) {
+        unmountAddin();
+
+        const [markup] = await Promise.all([loadMarkup(), loadAddinScript()]);
+        host.replaceChildren(document.importNode(markup, true));
+
+        const fixtureName = options.fixture || 'basic';
+        const fixture = YardMoveDev.fixtures[fixtureName]();
+        const firestore = YardMoveDev.createMockFirestore(fixture.firestore);
+        firestore.install(window);
+        const mock = YardMoveDev.createMockApi(fixture, { latencyMs: options.latencyMs || 0 });
+        const state = createState(options);
+        const addin = window.geotab.addin.yardMoveZones();
+
+        await new Promise(resolve => addin.initialize(mock.api, state, resolve));
+        addin.focus(mock.api, state);
+
+        mounted = {
+            host: host,
+            fixtureName: fixtureName,
+            addin: addin,
+            mock: mock,
+            firestore: firestore,
+            state: state
+        };
+        return mounted;
+    }
+
+    /**
+     * Stop the mounted add-in's timers and remove its markup
+     */
+    function unmountAddin() {
+        if (!mounted) return;
+        mounted.addin.blur();
+        mounted.host.replaceChildren();
+        mounted = null;
+    }
+
+    /**
+     * Resolve once neither the mock api nor Firestore has had work in flight for a few polls
+     */
+    function settle(timeoutMs = SETTLE_TIMEOUT_MS) {
+        const started = Date.now();
+        let idleRounds = 0;
+        return new Promise((resolve, reject) => {
+            const poll = () => {
+                const busy = mounted && (mounted.mock.pending > 0 || mounted.firestore.pending > 0);
+                idleRounds = busy ? 0 : idleRounds + 1;
+                if (idleRounds >= SETTLE_IDLE_ROUNDS) {
+                    resolve();
+                } else if (Date.now() - started > timeoutMs) {
+                    reject(new Error(`Still busy after ${timeoutMs} ms`));
+                } else {
+                    setTimeout(poll, SETTLE_POLL_MS);
+                }
+            };
+            poll();
+        });
+    }
+
+    YardMoveDev.mountAddin = mountAddin;
+    YardMoveDev.unmountAddin = unmountAddin;
+    YardMoveDev.settle = settle;
+    YardMoveDev.getMounted = () => mounted;
+})();
@@ -0,0 +1,301 @@
+/**
+ * In-memory stand-in for the MyGeotab api object the add-in is given at initialize/focus.
+ * Entities live in plain arrays per type; every write bumps a database-wide version, so Set
+ * can reject stale versions and GetFeed can page through changes like the real server.
+ */
+(function () {
+    'use strict';
+
+    const YardMoveDev = window.YardMoveDev = window.YardMoveDev || {};
+
+    /**
+     * Copy an entity so callers never hold on to the stored one
+     */
+    function copy(value) {
+        return value === undefined ? value : JSON.parse(JSON.stringify(value));
+    }
+
+    /**
+     * Build an error shaped like the ones MyGeotab's JSON-RPC layer rejects with
+     */
+    function createApiError(name, message) {
+        const error = new Error(message);
+        error.name = name;
+        return error;
+    }
+
+    /**
+     * Create a fake api over a fixture database.
+     * options.latencyMs delays every response, to see loading states and race conditions.
+     */
+    function createMockApi(fixture, options = {}) {
+        const entities = {};
+        Object.keys(fixture.entities).forEach(typeName => {
+            entities[typeName] = copy(fixture.entities[typeName]);
+        });
+
+        let version = 0;
+        let nextId = 1;
+        let pending = 0;
+        const interceptors = [];
+        const calls = [];
+
+        const formatVersion = value => value.toString(16).padStart(16, '0');
+        const nextVersion = () => formatVersion(++version);
+        const getList = typeName => {
+            if (!entities[typeName]) {
+                entities[typeName] = [];
+            }
+            return entities[typeName];
+        };
+
+        // Fixture entities start out versioned in the order they are listed
+        Object.keys(entities).forEach(typeName => {
+            entities[typeName].forEach(entity => {
+                entity.version = nextVersion();
+            });
+        });
+
+        /**
+         * Get the ids of the groups and every group below them
+         */
+        function getGroupAndDescendantIds(groups) {
+            const groupIds = new Set();
+            const pendingIds = (groups || []).map(group => group.id);
+            while (pendingIds.length > 0) {
+                const id = pendingIds.pop();
+                if (groupIds.has(id)) continue;
+                groupIds.add(id);
+                const group = getList('Group').find(g => g.id === id);
+                (group && group.children || []).forEach(child => pendingIds.push(child.id));
+            }
+            return groupIds;
+        }
+
+        /**
+         * Check whether a device belongs to one of the groups, or to a group below them
+         */
+        function isDeviceInGroups(deviceRef, groups) {
+            const device = deviceRef && getList('Device').find(d => d.id === deviceRef.id);
+            if (!device) return false;
+
+            const groupIds = getGroupAndDescendantIds(groups);
+            return (device.groups || []).some(group => groupIds.has(group.id));
+        }
+
+        /**
+         * Check whether the session user's data access covers an entity. Like MyGeotab, zones
+         * outside it are left out of Get and GetFeed and can't be saved.
+         */
+        function isAccessible(typeName, entity) {
+            if (typeName !== 'Zone') return true;
+            const user = getList('User').find(u => u.name === fixture.session.userName);
+            const groupIds = getGroupAndDescendantIds((user && user.companyGroups) || [{ id: 'GroupCompanyId' }]);
+            return (entity.groups || []).some(group => groupIds.has(group.id));
+        }
+
+        /**
+         * Match an entity against the few search properties the add-in uses. Trips are dated
+         * by their start, everything else by dateTime.
+         */
+        function matchesSearch(entity, search) {
+            if (!search) return true;
+            const date = entity.dateTime || entity.start;
+            if (search.id && entity.id !== search.id) return false;
+            if (search.name && entity.name !== search.name) return false;
+            if (search.fromDate && date < search.fromDate) return false;
+            if (search.toDate && date > search.toDate) return false;
+            if (search.statuses && !search.statuses.includes(entity.status)) return false;
+            if (search.groups && !isDeviceInGroups(entity, search.groups)) return false;
+            // Like MyGeotab, trips and log records are only searched by a single device id
+            if (search.deviceSearch && !(entity.device && entity.device.id === search.deviceSearch.id)) return false;
+            return true;
+        }
+
+        const handlers = {
+            Get(params) {
+                // The security clearance tree hangs below this built-in group
+                if (params.typeName === 'Group' && params.search && params.search.id === 'GroupSecurityId') {
+                    return copy(fixture.securityClearances || []);
+                }
+                return copy(getList(params.typeName).filter(entity =>
+                    isAccessible(params.typeName, entity) && matchesSearch(entity, params.search)));
+            },
+
+            GetFeed(params) {
+                const fromVersion = params.fromVersion || '';
+                const data = getList(params.typeName)
+                    .filter(entity => entity.version > fromVersion && isAccessible(params.typeName, entity))
+                    .sort((a, b) => a.version.localeCompare(b.version))
+                    .slice(0, params.resultsLimit || 50000);
+                return {
+                    data: copy(data),
+                    toVersion: data.length > 0 ? data[data.length - 1].version : (fromVersion || formatVersion(version))
+                };
+            },
+
+            Add(params) {
+                const list = getList(params.typeName);
+                if (params.typeName === 'ZoneType' && list.some(zt => zt.name === params.entity.name)) {
+                    throw createApiError('DuplicateException', `A ZoneType named "${params.entity.name}" already exists`);
+                }
+                const entity = { ...copy(params.entity), id: `b${(nextId++).toString(16)}`, version: nextVersion() };
+                list.push(entity);
+                return entity.id;
+            },
+
+            Set(params) {
+                const list = getList(params.typeName);
+                const index = list.findIndex(entity => entity.id === params.entity.id);
+                if (index === -1 || !isAccessible(params.typeName, list[index])) {
+                    throw createApiError('ArgumentException', `${params.typeName} ${params.entity.id} does not exist`);
+                }
+                if (params.entity.version && params.entity.version !== list[index].version) {
+                    throw createApiError('DbUpdateConcurrencyException', 'Entity version is out of date; it was modified by another user');
+                }
+                list[index] = { ...copy(params.entity), version: nextVersion() };
+                return null;
+            },
+
+            Remove(params) {
+                const list = getList(params.typeName);
+                const index = list.findIndex(entity => entity.id === params.entity.id);
+                if (index !== -1) {
+                    list.splice(index, 1);
+                }
+                return null;
+            },
+
+            ExecuteMultiCall(params) {
+                return params.calls.map(call => execute(call.method, call.params));
+            }
+        };
+
+        /**
+         * Run one call through the interceptors and its handler, recording it for tests
+         */
+        function execute(method, params) {
+            calls.push({ method: method, typeName: params.typeName, params: copy(params) });
+            interceptors.slice().forEach(interceptor => interceptor(method, params));
+
+            const handler = handlers[method];
+            if (!handler) {
+                throw createApiError('MissingMethodException', `The mock api does not support ${method}`);
+            }
+            return handler(params);
+        }
+
+        /**
+         * Answer asynchronously after the configured latency, like a network round trip
+         */
+        function respond(run, resolve, reject) {
+            pending++;
+            setTimeout(() => {
+                pending--;
+                let result;
+                try {
+                    result = run();
+                } catch (error) {
+                    if (reject) reject(error);
+                    return;
+                }
+                resolve(result);
+            }, options.latencyMs || 0);
+        }
+
+        const api = {
+            call(method, params, resolve, reject) {
+                respond(() => execute(method, params), resolve, reject);
+            },
+
+            // Calls run in order and the batch fails on the first error, like ExecuteMultiCall
+            multiCall(multiCalls, resolve, reject) {
+                respond(() => handlers.ExecuteMultiCall({
+                    calls: multiCalls.map(([method, params]) => ({ method: method, params: params }))
+                }), resolve, reject);
+            },
+
+            getSession(callback) {
+                setTimeout(() => callback({ ...fixture.session, sessionId: 'dev-session' }));
+            }
+        };
+
+        return {
+            api: api,
+            calls: calls,
+
+            /**
+             * Number of calls still waiting for their response
+             */
+            get pending() {
+                return pending;
+            },
+
+            /**
+             * Run fn(method, params) before every call; throwing from it fails the call.
+             * Returns a function that removes the interceptor.
+             */
+            intercept(fn) {
+                interceptors.push(fn);
+                return () => {
+                    const index = interceptors.indexOf(fn);
+                    if (index !== -1) interceptors.splice(index, 1);
+                };
+            },
+
+            /**
+             * Fail the next count calls matching method and typeName ('*' for any) with error
+             */
+            failNext(method, typeName, error, count = 1) {
+                let remaining = count;
+                const remove = this.intercept((calledMethod, params) => {
+                    if ((method === '*' || calledMethod === method) &&
+                        (typeName === '*' || params.typeName === typeName) &&
+                        remaining > 0) {
+                        remaining--;
+                        if (remaining === 0) remove();
+                        throw error;
+                    }
+                });
+                return remove;
+            },
+
+            /**
+             * Change an entity as another MyGeotab session would, bumping its version
+             */
+            editEntity(typeName, id, changes) {
+                const list = getList(typeName);
+                const index = list.findIndex(entity => entity.id === id);
+                if (index === -1) {
+                    throw new Error(`${typeName} ${id} does not exist`);
+                }
+                list[index] = { ...list[index], ...copy(changes), version: nextVersion() };
+                return copy(list[index]);
+            },
+
+            /**
+             * Read the stored copy of an entity
+             */
+            getEntity(typeName, id) {
+                return copy(getList(typeName).find(entity => entity.id === id));
+            },
+
+            /**
+             * Read every stored entity of a type
+             */
+            getEntities(typeName) {
+                return copy(getList(typeName));
+            },
+
+            /**
+             * Count the recorded calls matching method and typeName
+             */
+            countCalls(method, typeName) {
+                return calls.filter(call => call.method === method && (!typeName || call.typeName === typeName)).length;
+            }
+        };
+    }
+
+    YardMoveDev.createApiError = createApiError;
+    YardMoveDev.createMockApi = createMockApi;
+})();
@@ -0,0 +1,243 @@
+/**
+ * Local stand-in for the Firebase compat SDK the add-in talks to through window.db and
+ * window.firebase. Documents are kept in memory by path, so nothing reaches the production
+ * project while developing or testing.
+ */
+(function () {
+    'use strict';
+
+    const YardMoveDev = window.YardMoveDev = window.YardMoveDev || {};
+
+    const SERVER_TIMESTAMP = { serverTimestamp: true };
+
+    /**
+     * Timestamp with the accessors of firebase.firestore.Timestamp the add-in reads
+     */
+    class MockTimestamp {
+        constructor(millis) {
+            this.seconds = Math.floor(millis / 1000);
+            this.nanoseconds = (millis % 1000) * 1000000;
+        }
+
+        toMillis() {
+            return this.seconds * 1000 + this.nanoseconds / 1000000;
+        }
+
+        toDate() {
+            return new Date(this.toMillis());
+        }
+    }
+
+    /**
+     * Copy document data, turning server timestamp sentinels into the write time
+     */
+    function toStored(value, now) {
+        if (value === SERVER_TIMESTAMP) return new MockTimestamp(now);
+        if (value instanceof MockTimestamp) return new MockTimestamp(value.toMillis());
+        if (Array.isArray(value)) return value.map(item => toStored(item, now));
+        if (value && typeof value === 'object') {
+            const result = {};
+            Object.keys(value).forEach(key => {
+                if (value[key] !== undefined) {
+                    result[key] = toStored(value[key], now);
+                }
+            });
+            return result;
+        }
+        return value;
+    }
+
+    /**
+     * Compare field values for orderBy, with timestamps by time
+     */
+    function compareValues(a, b) {
+        const plain = value => value instanceof MockTimestamp ? value.toMillis() : value;
+        const x = plain(a);
+        const y = plain(b);
+        if (x === y) return 0;
+        if (x === undefined || x === null) return -1;
+        if (y === undefined || y === null) return 1;
+        return x < y ? -1 : 1;
+    }
+
+    /**
+     * Create an empty store. seed maps document paths ("geotab_databases/abc") to their data.
+     */
+    function createMockFirestore(seed = {}) {
+        const documents = new Map();
+        let nextId = 1;
+        let pending = 0;
+        let failure = null;
+
+        /**
+         * Settle asynchronously like a round trip to Firestore, failing when a failure is injected
+         */
+        function later(run) {
+            pending++;
+            return new Promise((resolve, reject) => {
+                setTimeout(() => {
+                    pending--;
+                    if (failure) {
+                        reject(failure);
+                        return;
+                    }
+                    try {
+                        resolve(run());
+                    } catch (error) {
+                        reject(error);
+                    }
+                });
+            });
+        }
+
+        function write(path, data, merge) {
+            const stored = toStored(data, Date.now());
+            documents.set(path, merge ? { ...(documents.get(path) || {}), ...stored } : stored);
+        }
+
+        function snapshotOf(path) {
+            const data = documents.get(path);
+            return {
+                id: path.split('/').pop(),
+                ref: docRef(path),
+                exists: data !== undefined,
+                data: () => data === undefined ? undefined : toStored(data, Date.now())
+            };
+        }
+
+        function docRef(path) {
+            return {
+                id: path.split('/').pop(),
+                path: path,
+                collection: name => collectionRef(`${path}/${name}`),
+                get: () => later(() => snapshotOf(path)),
+                set: data => later(() => write(path, data, false)),
+                update: data => later(() => {
+                    if (!documents.has(path)) {
+                        throw new Error(`No document to update: ${path}`);
+                    }
+                    write(path, data, true);
+                }),
+                delete: () => later(() => {
+                    documents.delete(path);
+                })
+            };
+        }
+
+        /**
+         * A collection or query over it; where/orderBy/limit return narrowed copies
+         */
+        function collectionRef(path, query = { filters: [], order: null, limit: null }) {
+            const narrowed = changes => collectionRef(path, { ...query, ...changes });
+            return {
+                id: path.split('/').pop(),
+                path: path,
+                doc: id => docRef(`${path}/${id || `auto${nextId++}`}`),
+                add: data => {
+                    const ref = docRef(`${path}/auto${nextId++}`);
+                    return ref.set(data).then(() => ref);
+                },
+                where: (field, op, value) => {
+                    if (op !== '==') {
+                        throw new Error(`The mock Firestore only supports == filters, not ${op}`);
+                    }
+                    return narrowed({ filters: [...query.filters, { field: field, value: value }] });
+                },
+                orderBy: (field, direction = 'asc') => narrowed({ order: { field: field, direction: direction } }),
+                limit: count => narrowed({ limit: count }),
+                get: () => later(() => {
+                    let paths = [...documents.keys()].filter(key =>
+                        key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/'));
+                    paths = paths.filter(key => query.filters.every(f => documents.get(key)[f.field] === f.value));
+                    if (query.order) {
+                        const sign = query.order.direction === 'desc' ? -1 : 1;
+                        paths.sort((a, b) => sign * compareValues(documents.get(a)[query.order.field], documents.get(b)[query.order.field]));
+                    }
+                    if (query.limit !== null) {
+                        paths = paths.slice(0, query.limit);
+                    }
+                    const docs = paths.map(snapshotOf);
+                    return { docs: docs, empty: docs.length === 0, size: docs.length };
+                })
+            };
+        }
+
+        const db = {
+            collection: name => collectionRef(name),
+            batch() {
+                const operations = [];
+                return {
+                    set(ref, data) { operations.push(() => write(ref.path, data, false)); },
+                    update(ref, data) { operations.push(() => write(ref.path, data, true)); },
+                    delete(ref) { operations.push(() => documents.delete(ref.path)); },
+                    commit: () => later(() => operations.forEach(operation => operation()))
+                };
+            }
+        };
+
+        const firebase = {
+            auth: () => ({
+                onAuthStateChanged(callback) {
+                    setTimeout(() => callback({ uid: 'dev-user', isAnonymous: true }));
+                    return () => {};
+                },
+                signInAnonymously: () => Promise.resolve({ user: { uid: 'dev-user', isAnonymous: true } })
+            }),
+            firestore: {
+                FieldValue: {
+                    serverTimestamp: () => SERVER_TIMESTAMP
+                },
+                Timestamp: MockTimestamp
+            }
+        };
+
+        Object.keys(seed).forEach(path => write(path, seed[path], false));
+
+        return {
+            db: db,
+            firebase: firebase,
+
+            /**
+             * Number of reads and writes still waiting to settle
+             */
+            get pending() {
+                return pending;
+            },
+
+            /**
+             * Make window.db and window.firebase point at this store
+             */
+            install(target = window) {
+                target.db = db;
+                target.firebase = firebase;
+            },
+
+            /**
+             * Fail every read and write with error until called again with null
+             */
+            setFailure(error) {
+                failure = error;
+            },
+
+            /**
+             * Read the data of every document directly in a collection path
+             */
+            list(path) {
+                return [...documents.keys()]
+                    .filter(key => key.startsWith(`${path}/`) && !key.slice(path.length + 1).includes('/'))
+                    .map(key => ({ id: key.split('/').pop(), ...toStored(documents.get(key), Date.now()) }));
+            },
+
+            /**
+             * Find the document of a MyGeotab database in geotab_databases
+             */
+            findDatabasePath(databaseName) {
+                const key = [...documents.keys()].find(path =>
+                    /^geotab_databases\/[^/]+$/.test(path) && documents.get(path).database_name === databaseName);
+                return key || null;
+            }
+        };
+    }
+
+    YardMoveDev.createMockFirestore = createMockFirestore;
+})();
@@ -0,0 +1,610 @@
+/**
+ * Automated tests of the load and drag/drop flows, run in the browser against the mock api
+ * and Firestore stand-in. Each test mounts a fresh add-in over a fixture database.
+ */
+(function () {
+    'use strict';
+
+    const tests = [];
+    const YARD_TYPE_ID = YardMoveDev.fixtureTypes.yard.id;
+    const CUSTOMERS_TYPE_ID = YardMoveDev.fixtureTypes.customers.id;
+    const WAIT_TIMEOUT_MS = 5000;
+
+    /**
+     * Register a test
+     */
+    function test(name, fn) {
+        tests.push({ name: name, fn: fn });
+    }
+
+    function assert(condition, message) {
+        if (!condition) {
+            throw new Error(message);
+        }
+    }
+
+    function assertEqual(actual, expected, message) {
+        const a = JSON.stringify(actual);
+        const e = JSON.stringify(expected);
+        if (a !== e) {
+            throw new Error(`${message}: expected ${e}, got ${a}`);
+        }
+    }
+
+    /**
+     * Wait until predicate returns something truthy
+     */
+    function waitFor(predicate, message, timeoutMs = WAIT_TIMEOUT_MS) {
+        const started = Date.now();
+        return new Promise((resolve, reject) => {
+            const poll = () => {
+                const value = predicate();
+                if (value) {
+                    resolve(value);
+                } else if (Date.now() - started > timeoutMs) {
+                    reject(new Error(`Timed out waiting for ${message}`));
+                } else {
+                    setTimeout(poll, 10);
+                }
+            };
+            poll();
+        });
+    }
+
+    /**
+     * Mount the add-in over a fixture and wait for the first load to finish. Anything the add-in
+     * kept in localStorage is cleared first, unless options.keepStorage is set.
+     */
+    async function mount(options = {}) {
+        if (!options.keepStorage) {
+            Object.keys(localStorage)
+                .filter(key => key.startsWith('yardMoveZones.'))
+                .forEach(key => localStorage.removeItem(key));
+        }
+        const mounted = await YardMoveDev.mountAddin(document.getElementById('addinHost'), { latencyMs: 0, ...options });
+        await YardMoveDev.settle();
+        return mounted;
+    }
+
+    function rows(type) {
+        const listId = type === 'regular' ? 'regularZonesList' : 'yardMoveZonesList';
+        return [...document.getElementById(listId).querySelectorAll('.zone-item')];
+    }
+
+    function rowNames(type) {
+        return rows(type).map(row => row.dataset.zoneName);
+    }
+
+    function findRow(type, name) {
+        const row = rows(type).find(item => item.dataset.zoneName === name);
+        assert(row, `No "${name}" row in the ${type} column`);
+        return row;
+    }
+
+    function zoneTypeIds(mounted, name) {
+        const zone = mounted.mock.getEntities('Zone').find(z => z.name === name);
+        return zone.zoneTypes.map(zt => zt.id).sort();
+    }
+
+    /**
+     * Drag a row onto a column through the same handlers the markup's drag attributes call
+     */
+    async function dragAndDrop(row, targetType) {
+        const data = {};
+        const dataTransfer = {
+            setData: (format, value) => { data[format] = value; },
+            getData: format => data[format]
+        };
+        const column = document.getElementById(targetType === 'regular' ? 'regularZones' : 'yardMoveZonesList-container');
+
+        window.drag({ target: row, dataTransfer: dataTransfer });
+        await window.drop({ preventDefault() {}, currentTarget: column, dataTransfer: dataTransfer }, targetType);
+        await YardMoveDev.settle();
+    }
+
+    test('loads every zone into its column', async () => {
+        const mounted = await mount();
+
+        assertEqual(rowNames('yardmove').sort(), ['YARD - Montreal DC', 'YARD - Toronto DC'], 'Yard Move Zones column');
+        assertEqual(rows('regular').length, 10, 'Regular zone rows');
+        assertEqual(document.getElementById('regularCount').textContent, '10 of 10 zones', 'Regular count');
+        assertEqual(mounted.mock.countCalls('Add', 'ZoneType'), 0, 'ZoneType adds');
+    });
+
+    test('searches each column on its own once typing pauses', async () => {
+        await mount();
+        const type = (id, text) => {
+            const input = document.getElementById(id);
+            input.value = text;
+            input.dispatchEvent(new Event('input'));
+        };
+
+        type('regularSearch', 'Hamilton');
+        type('yardMoveSearch', 'Montreal');
+        assertEqual(rows('regular').length, 10, 'Regular zone rows while typing');
+        await waitFor(() => rows('regular').length === 1 && rows('yardmove').length === 1, 'both columns to be searched');
+        assertEqual(rowNames('yardmove'), ['YARD - Montreal DC'], 'Yard Move Zones column');
+    });
+
+    test('loads the bundled translations from next to addin.js', async () => {
+        await mount({ language: 'fr' });
+
+        assertEqual(document.querySelector('#refreshBtn .btn-text').textContent.trim(), 'Actualiser', 'Refresh button text');
+        assertEqual(document.documentElement.lang, 'fr', 'Page language');
+    });
+
+    test('creates the Yard Move Zones type on first load', async () => {
+        const mounted = await mount({ fixture: 'fresh' });
+
+        assertEqual(mounted.mock.countCalls('Add', 'ZoneType'), 1, 'ZoneType adds');
+        assert(mounted.mock.getEntities('ZoneType').some(zt => zt.name === 'Yard Move Zones'), 'The type was not saved');
+        assertEqual(rows('yardmove').length, 0, 'Yard Move Zone rows');
+        assertEqual(rows('regular').length, 12, 'Regular zone rows');
+    });
+
+    test('pages through large databases and virtualizes long lists', async () => {
+        const mounted = await mount({ fixture: 'large' });
+
+        assert(mounted.mock.countCalls('GetFeed', 'Zone') >= 2, 'Zones were not paged through the feed');
+        assertEqual(document.getElementById('regularCount').textContent, '5,890 of 5,890 zones', 'Regular count');
+        assert(document.getElementById('regularZonesList').classList.contains('virtualized'), 'The long list is not virtualized');
+        assert(rows('regular').length < 500, `${rows('regular').length} rows rendered for a virtualized list`);
+    });
+
+    test('dragging a zone onto Yard Move Zones adds the type and records it', async () => {
+        const mounted = await mount();
+
+        await dragAndDrop(findRow('regular', 'Customer - Acme Foods'), 'yardmove');
+
+        assert(rowNames('yardmove').includes('Customer - Acme Foods'), 'The zone did not move to Yard Move Zones');
+        assertEqual(zoneTypeIds(mounted, 'Customer - Acme Foods'), [YARD_TYPE_ID, CUSTOMERS_TYPE_ID].sort(), 'Saved zone types');
+
+        const databasePath = mounted.firestore.findDatabasePath('devdb');
+        assert(databasePath, 'The database document was not added');
+        const audit = mounted.firestore.list(`${databasePath}/zone_audit`);
+        assertEqual(audit.map(entry => [entry.zone_name, entry.action]), [['Customer - Acme Foods', 'add']], 'Audit trail');
+        const published = mounted.firestore.list(`${databasePath}/yard_move_zones`).map(doc => doc.name).sort();
+        assertEqual(published, ['Customer - Acme Foods', 'YARD - Montreal DC', 'YARD - Toronto DC'], 'Published Yard Move Zones');
+    });
+
+    test('dragging back removes only the Yard Move Zones type', async () => {
+        const mounted = await mount();
+
+        await dragAndDrop(findRow('regular', 'Customer - Acme Foods'), 'yardmove');
+        await dragAndDrop(findRow('yardmove', 'Customer - Acme Foods'), 'regular');
+
+        assert(rowNames('regular').includes('Customer - Acme Foods'), 'The zone did not move back');
+        assertEqual(zoneTypeIds(mounted, 'Customer - Acme Foods'), [CUSTOMERS_TYPE_ID], 'Saved zone types');
+    });
+
+    test('dragging a selected zone moves the whole selection', async () => {
+        const mounted = await mount();
+        const names = ['Terminal - Hamilton', 'Terminal - Ottawa', 'Drop lot - Brampton'];
+
+        names.forEach(name => findRow('regular', name).querySelector('.zone-select').click());
+        await dragAndDrop(findRow('regular', names[0]), 'yardmove');
+
+        names.forEach(name => {
+            assert(rowNames('yardmove').includes(name), `"${name}" did not move`);
+            assert(zoneTypeIds(mounted, name).includes(YARD_TYPE_ID), `"${name}" was not saved`);
+        });
+        assertEqual(document.getElementById('bulkSummary').style.display, 'block', 'Bulk summary display');
+    });
+
+    test('Space selects a focused row and Enter moves it', async () => {
+        const mounted = await mount();
+        const keydown = (row, key) => {
+            const event = { key: key, shiftKey: false, target: row, currentTarget: row, preventDefault() {}, stopPropagation() {} };
+            window.zoneRowKeydown(event, 'regular', Number(row.dataset.index));
+        };
+
+        keydown(findRow('regular', 'Terminal - Ottawa'), ' ');
+        assert(findRow('regular', 'Terminal - Ottawa').classList.contains('selected'), 'Space did not select the zone');
+        assertEqual(document.activeElement, findRow('regular', 'Terminal - Ottawa'), 'Focused row');
+        assertEqual(zoneTypeIds(mounted, 'Terminal - Ottawa'), [], 'Zone types after Space');
+
+        keydown(findRow('regular', 'Terminal - Ottawa'), 'Enter');
+        await YardMoveDev.settle();
+        assert(rowNames('yardmove').includes('Terminal - Ottawa'), 'Enter did not move the zone');
+    });
+
+    test('import rows that disagree about a zone leave it alone', async () => {
+        const mounted = await mount();
+        const csv = 'name,yardMove\nTerminal - Hamilton,yes\nTerminal - Hamilton,no\nYARD - Toronto DC,yes\nYARD - Toronto DC,no\n';
+        await window.importZonesFile({ files: [{ name: 'zones.csv', text: async () => csv }], value: '' });
+        document.getElementById('importRemoveUnlisted').checked = true;
+        window.updateImportPreview();
+
+        assertEqual(document.querySelectorAll('#importDiff .ambiguous li').length, 4, 'Ambiguous rows');
+        assertEqual(document.querySelectorAll('#importDiff .to-add li').length, 0, 'Zones to add');
+        assertEqual([...document.querySelectorAll('#importDiff .to-remove li strong')].map(el => el.textContent),
+            ['YARD - Montreal DC'], 'Zones to remove');
+
+        await window.confirmImport();
+        await YardMoveDev.settle();
+        assertEqual(rowNames('yardmove'), ['YARD - Toronto DC'], 'Yard Move Zones column');
+        assertEqual(mounted.mock.countCalls('Set', 'Zone'), 1, 'Zone saves');
+    });
+
+    test('rules with no valid rule remove nothing', async () => {
+        await mount();
+
+        await window.openRulesEditor();
+        window.updateRuleSetOption('removeNonMatching', true);
+        window.updateRule(0, 'value', '^(YARD');
+
+        assertEqual(document.querySelectorAll('#rulePreview .to-remove li').length, 0, 'Zones to remove');
+        assert(document.getElementById('applyRulesBtn').disabled, 'Apply is enabled without a valid rule');
+    });
+
+    test('retries a save that lost a version race', async () => {
+        const mounted = await mount();
+        const zone = mounted.mock.getEntities('Zone').find(z => z.name === 'Terminal - Hamilton');
+
+        // Someone else edits the zone between our read and our write
+        let raced = false;
+        mounted.mock.intercept((method, params) => {
+            if (method === 'Set' && params.entity.id === zone.id && !raced) {
+                raced = true;
+                mounted.mock.editEntity('Zone', zone.id, { comment: 'Edited elsewhere' });
+            }
+        });
+        await dragAndDrop(findRow('regular', 'Terminal - Hamilton'), 'yardmove');
+
+        const saved = mounted.mock.getEntity('Zone', zone.id);
+        assertEqual(saved.comment, 'Edited elsewhere', 'The other edit was kept');
+        assert(saved.zoneTypes.some(zt => zt.id === YARD_TYPE_ID), 'The zone type was not added after the retry');
+        assert(rowNames('yardmove').includes('Terminal - Hamilton'), 'The zone did not move');
+    });
+
+    test('the zone editor does not overwrite geometry changed since it opened', async () => {
+        const mounted = await mount();
+        const zone = mounted.mock.getEntities('Zone').find(z => z.name === 'Terminal - Ottawa');
+
+        window.previewZone(zone.id);
+        window.editZoneGeometry();
+        const otherPoints = zone.points.map(p => ({ x: p.x + 0.001, y: p.y }));
+        mounted.mock.editEntity('Zone', zone.id, { points: otherPoints });
+
+        document.getElementById('zoneEditorName').value = 'Terminal - Ottawa (edited)';
+        await window.saveZoneEditor();
+
+        const saved = mounted.mock.getEntity('Zone', zone.id);
+        assertEqual(saved.name, 'Terminal - Ottawa', 'Saved name');
+        assertEqual(saved.points, otherPoints, 'Saved points');
+    });
+
+    test('creating a zone as a Yard Move Zone records it', async () => {
+        const mounted = await mount();
+
+        window.openCreateZone();
+        document.getElementById('zoneEditorName').value = 'YARD - Windsor';
+        document.getElementById('zoneEditorCoordinates').value = '42.300, -83.000\n42.300, -82.997\n42.302, -82.997\n42.302, -83.000';
+        document.getElementById('zoneEditorYardMove').checked = true;
+        await window.saveZoneEditor();
+        await YardMoveDev.settle();
+
+        const audit = mounted.firestore.list(`${mounted.firestore.findDatabasePath('devdb')}/zone_audit`);
+        assertEqual(audit.map(entry => [entry.zone_name, entry.action, entry.before_zone_types, entry.after_zone_types]),
+            [['YARD - Windsor', 'add', [], [YARD_TYPE_ID]]], 'Audit trail');
+    });
+
+    test('a rejected save leaves the zone in place with an error', async () => {
+        const mounted = await mount();
+        // Both the batched save and its one-zone retry are rejected
+        mounted.mock.failNext('Set', 'Zone',
+            YardMoveDev.createApiError('SecurityException', 'The user does not have permission to modify this zone'), 2);
+
+        await dragAndDrop(findRow('regular', 'Drop lot - Mississauga'), 'yardmove');
+
+        const row = findRow('regular', 'Drop lot - Mississauga');
+        assert(row.classList.contains('has-error'), 'The row shows no error');
+        assert(row.querySelector('.zone-error').textContent.includes('You do not have permission to change this zone'),
+            'The row error does not explain the permission problem');
+        assertEqual(zoneTypeIds(mounted, 'Drop lot - Mississauga'), [], 'Saved zone types');
+    });
+
+    test('undo reverts the last move', async () => {
+        const mounted = await mount();
+
+        await dragAndDrop(findRow('regular', 'Terminal - Ottawa'), 'yardmove');
+        await window.undoZoneChange();
+        await YardMoveDev.settle();
+
+        assert(rowNames('regular').includes('Terminal - Ottawa'), 'The zone did not move back');
+        assertEqual(zoneTypeIds(mounted, 'Terminal - Ottawa'), [], 'Saved zone types');
+    });
+
+    test('Ctrl+Z undoes while a checkbox has focus, but not in a search box', async () => {
+        const mounted = await mount();
+        const pressUndo = target => target.dispatchEvent(new KeyboardEvent('keydown', { key: 'z', ctrlKey: true, bubbles: true }));
+
+        await dragAndDrop(findRow('regular', 'Terminal - Ottawa'), 'yardmove');
+        pressUndo(document.getElementById('regularSearch'));
+        await YardMoveDev.settle();
+        assert(rowNames('yardmove').includes('Terminal - Ottawa'), 'Undo ran from a search box');
+
+        pressUndo(document.getElementById('regularSelectAll'));
+        await waitFor(() => rowNames('regular').includes('Terminal - Ottawa'), 'the move to be undone');
+        await YardMoveDev.settle();
+        assertEqual(zoneTypeIds(mounted, 'Terminal - Ottawa'), [], 'Saved zone types');
+    });
+
+    test('view-only users get a read-only board', async () => {
+        const mounted = await mount({ fixture: 'readOnly' });
+
+        assert(document.getElementById('yardMoveZones').classList.contains('read-only'), 'The board is not read-only');
+        assertEqual(findRow('regular', 'Terminal - Hamilton').getAttribute('draggable'), 'false', 'Row draggable');
+
+        await dragAndDrop(findRow('regular', 'Terminal - Hamilton'), 'yardmove');
+        assertEqual(mounted.mock.countCalls('Set', 'Zone'), 0, 'Zone saves');
+        assert(rowNames('regular').includes('Terminal - Hamilton'), 'The zone moved');
+
+        window.openDesignationPeriod(findRow('yardmove', 'YARD - Toronto DC').dataset.zoneId);
+        const end = new Date(Date.now() + 3 * 86400000);
+        document.getElementById('designationEditEnd').value =
+            new Date(end.getTime() - end.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+        await window.saveDesignationPeriod();
+        await YardMoveDev.settle();
+        assertEqual(mounted.firestore.list(`${mounted.firestore.findDatabasePath('devdb')}/yard_move_designations`).length, 0,
+            'Designations saved');
+    });
+
+    test('without zone types or the right to add them the board is read-only', async () => {
+        const mounted = await mount({ fixture: 'noZoneTypes' });
+
+        assert(document.getElementById('yardMoveZones').classList.contains('read-only'), 'The board is not read-only');
+        assertEqual(mounted.mock.countCalls('Add', 'ZoneType'), 0, 'ZoneType adds');
+    });
+
+    test('a user who sees some groups publishes without deleting other regions\' zones', async () => {
+        const mounted = await mount({ fixture: 'regional' });
+        await dragAndDrop(findRow('regular', 'Terminal - Hamilton'), 'yardmove');
+
+        const databasePath = mounted.firestore.findDatabasePath('devdb');
+        const published = mounted.firestore.list(`${databasePath}/yard_move_zones`).map(doc => doc.id).sort();
+        assertEqual(published, ['b20', 'b21', 'b22'], 'Published Yard Move Zones');
+        const databaseDoc = mounted.firestore.list('geotab_databases').find(doc => doc.database_name === 'devdb');
+        assertEqual(databaseDoc.yard_move_zone_count, undefined, 'Count published from a partial view');
+    });
+
+    test('ended designations are removed and started schedules added on load', async () => {
+        const mounted = await mount({ fixture: 'designations' });
+
+        assert(rowNames('regular').includes('YARD - Montreal DC'), 'The ended designation was not removed');
+        assert(rowNames('yardmove').includes('Terminal - Hamilton'), 'The started schedule was not added');
+        assertEqual(zoneTypeIds(mounted, 'YARD - Montreal DC'), [], 'Saved zone types');
+
+        const expiring = document.getElementById('expiringSoon');
+        assertEqual(expiring.style.display, 'block', 'Expiring soon display');
+        assert(expiring.textContent.includes('YARD - Toronto DC'), 'Toronto DC is not listed as expiring soon');
+        assert(findRow('yardmove', 'YARD - Toronto DC').querySelector('.designation-badge.expiring'), 'No countdown badge');
+
+        const path = `${mounted.firestore.findDatabasePath('devdb')}/yard_move_designations`;
+        const saved = mounted.firestore.list(path).map(doc => [doc.zone_id, doc.active]).sort();
+        assertEqual(saved, [['b20', true], ['b22', true]], 'Saved designations');
+        const audit = mounted.firestore.list(`${mounted.firestore.findDatabasePath('devdb')}/zone_audit`);
+        assertEqual(audit.map(entry => [entry.zone_name, entry.source]).sort(),
+            [['Terminal - Hamilton', 'schedule'], ['YARD - Montreal DC', 'expiry']], 'Audit sources');
+    });
+
+    test('adding with an end date saves a designation that ends', async () => {
+        const mounted = await mount();
+        const end = new Date(Date.now() + 3 * 86400000);
+        end.setSeconds(0, 0);
+        document.getElementById('designationEnd').value =
+            new Date(end.getTime() - end.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+
+        await dragAndDrop(findRow('regular', 'Drop lot - Brampton'), 'yardmove');
+        assertEqual(document.getElementById('designationEnd').value, '', 'Period left in the column');
+
+        const path = `${mounted.firestore.findDatabasePath('devdb')}/yard_move_designations`;
+        const saved = mounted.firestore.list(path);
+        assertEqual(saved.map(doc => [doc.zone_id, doc.ends_at, doc.active]), [['b2a', end.toISOString(), true]], 'Saved designations');
+        assert(findRow('yardmove', 'Drop lot - Brampton').querySelector('.designation-badge'), 'No countdown badge');
+
+        await dragAndDrop(findRow('yardmove', 'Drop lot - Brampton'), 'regular');
+        assertEqual(mounted.firestore.list(path).length, 0, 'Designations left after removing the zone');
+    });
+
+    test('the column period only applies to zones moved on the board', async () => {
+        const mounted = await mount();
+        document.getElementById('designationEnd').value =
+            new Date(Date.now() + 86400000 - new Date().getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+
+        await window.addUsageCandidate('b2a');
+        await YardMoveDev.settle();
+
+        assert(rowNames('yardmove').includes('Drop lot - Brampton'), 'The zone was not added');
+        const path = `${mounted.firestore.findDatabasePath('devdb')}/yard_move_designations`;
+        assertEqual(mounted.firestore.list(path).length, 0, 'Designations saved outside the board');
+    });
+
+    test('designations of zones outside the user\'s data access are kept', async () => {
+        const mounted = await mount({ fixture: 'regional' });
+        const path = `${mounted.firestore.findDatabasePath('devdb')}/yard_move_designations`;
+        assertEqual(mounted.firestore.list(path).map(doc => doc.zone_id), ['b21'], 'Designations after loading');
+    });
+
+    test('discovers yards from overnight stops and low-speed moves', async () => {
+        await mount();
+        const day = 86400000;
+        document.getElementById('discoverFrom').value = new Date(Date.now() - 14 * day).toISOString().split('T')[0];
+        document.getElementById('discoverTo').value = new Date(Date.now() + day).toISOString().split('T')[0];
+
+        await window.runDiscovery();
+
+        const results = [...document.querySelectorAll('#discoverResults tbody tr')];
+        const findResult = text => results.find(row => row.textContent.includes(text));
+        assertEqual(results.length, 3, 'Places found');
+        assert(findResult('Terminal - Hamilton').querySelector('button[onclick^="addDiscoveredZone"]'), 'Hamilton cannot be added');
+        assert(findResult('Not in any zone').querySelector('button[onclick^="createDiscoveredZone"]'), 'No zone suggested for the unzoned lot');
+        assert(findResult('YARD - Toronto DC').querySelector('.type-chip'), 'Toronto DC is not shown as a Yard Move Zone');
+
+        findResult('Terminal - Hamilton').querySelector('button').click();
+        await waitFor(() => rowNames('yardmove').includes('Terminal - Hamilton'), 'Hamilton to be added');
+        await YardMoveDev.settle();
+    });
+
+    test('merges duplicate Yard Move Zone types onto the one in use', async () => {
+        const mounted = await mount({ fixture: 'duplicateTypes' });
+        assert(document.getElementById('zoneTypeHealthNotice').style.display !== 'none', 'The duplicate types were not flagged');
+        assert(!rowNames('yardmove').includes('Terminal - Hamilton'), 'A zone on the copied type is already shown as a Yard Move Zone');
+
+        window.openZoneTypeHealth();
+        assertEqual(document.querySelector('input[name="zoneTypeHealthKeep"]:checked').value, YARD_TYPE_ID, 'Type picked to keep');
+        assert(document.getElementById('zoneTypeHealthList').textContent.includes('Fuel - Highway 401'),
+            'The zone carrying a deleted type was not reported');
+        await window.mergeYardMoveTypes();
+        await YardMoveDev.settle();
+
+        assertEqual(mounted.mock.getEntities('ZoneType').map(zt => zt.id).sort(), [YARD_TYPE_ID, CUSTOMERS_TYPE_ID, 'b3'], 'Zone types left');
+        ['Terminal - Hamilton', 'Terminal - Ottawa', 'Drop lot - Mississauga'].forEach(name => {
+            assert(rowNames('yardmove').includes(name), `${name} was not merged`);
+            assertEqual(zoneTypeIds(mounted, name), [YARD_TYPE_ID], `Zone types of ${name}`);
+        });
+        assert(!document.getElementById('zoneTypeHealthMessage').textContent.includes('look like Yard Move Zones'),
+            'Duplicates still flagged after merging');
+    });
+
+    test('keeping a copied type renames it and the old namesakes', async () => {
+        const mounted = await mount({ fixture: 'duplicateTypes' });
+
+        window.openZoneTypeHealth();
+        document.getElementById('zoneTypeHealthKeep_b4').checked = true;
+        document.getElementById('zoneTypeHealthDelete').checked = false;
+        await window.mergeYardMoveTypes();
+        await YardMoveDev.settle();
+
+        const names = new Map(mounted.mock.getEntities('ZoneType').map(zt => [zt.id, zt.name]));
+        assertEqual(names.get('b4'), 'Yard Move Zones', 'Name of the kept type');
+        assertEqual([names.get(YARD_TYPE_ID), names.get('b5')], ['Yard Move Zones (old 1)', 'Yard Move Zones (old 2)'], 'Names of the old namesakes');
+        assertEqual(zoneTypeIds(mounted, 'YARD - Toronto DC'), ['b4'], 'Zone types of a yard');
+        assert(rowNames('yardmove').includes('Drop lot - Mississauga'), 'The namesake\'s zone was not merged');
+        assertEqual(rowNames('yardmove').length, 5, 'Yard Move Zones after merging');
+    });
+
+    test('a throttled save is queued, survives a reload and is retried', async () => {
+        let mounted = await mount();
+        mounted.mock.failNext('Set', 'Zone', YardMoveDev.createApiError('OverLimitException', 'API calls quota exceeded'), 2);
+
+        await dragAndDrop(findRow('regular', 'Head office'), 'yardmove');
+
+        assert(findRow('regular', 'Head office').classList.contains('pending-move'), 'The zone is not shown as pending');
+        assert(!findRow('regular', 'Head office').classList.contains('has-error'), 'The queued zone is shown as failed');
+        assert(document.getElementById('moveQueueNotice').style.display !== 'none', 'The queue notice is hidden');
+
+        mounted = await mount({ keepStorage: true });
+        assert(findRow('regular', 'Head office').classList.contains('pending-move'), 'The queued change was lost on reload');
+
+        await window.retryQueuedMoves();
+        await YardMoveDev.settle();
+
+        assert(rowNames('yardmove').includes('Head office'), 'The queued change was not replayed');
+        assertEqual(zoneTypeIds(mounted, 'Head office'), [YARD_TYPE_ID], 'Zone types after the retry');
+        assertEqual(document.getElementById('moveQueueNotice').style.display, 'none', 'Queue notice after the retry');
+    });
+
+    test('queued changes already made elsewhere are dropped without saving', async () => {
+        let mounted = await mount();
+        mounted.mock.failNext('Set', 'Zone', YardMoveDev.createApiError('OverLimitException', 'API calls quota exceeded'), 2);
+        await dragAndDrop(findRow('regular', 'Head office'), 'yardmove');
+
+        mounted = await mount({ keepStorage: true });
+        const zone = mounted.mock.getEntities('Zone').find(z => z.name === 'Head office');
+        mounted.mock.editEntity('Zone', zone.id, { zoneTypes: [{ id: YARD_TYPE_ID }] });
+        const callCount = mounted.mock.calls.length;
+
+        await window.retryQueuedMoves();
+        await YardMoveDev.settle();
+
+        const saves = mounted.mock.calls.slice(callCount).filter(call => call.method === 'Set' && call.typeName === 'Zone');
+        assertEqual(saves.length, 0, 'Zone saves during the retry');
+        assertEqual(document.getElementById('moveQueueNotice').style.display, 'none', 'Queue notice after the retry');
+    });
+
+    test('queued changes to zones changed elsewhere are reported instead of replayed', async () => {
+        let mounted = await mount();
+        mounted.mock.failNext('Set', 'Zone', YardMoveDev.createApiError('OverLimitException', 'API calls quota exceeded'), 2);
+        await dragAndDrop(findRow('regular', 'Head office'), 'yardmove');
+
+        mounted = await mount({ keepStorage: true });
+        const zone = mounted.mock.getEntities('Zone').find(z => z.name === 'Head office');
+        mounted.mock.editEntity('Zone', zone.id, { comment: 'Closed for good' });
+
+        await window.retryQueuedMoves();
+        await YardMoveDev.settle();
+
+        assertEqual(zoneTypeIds(mounted, 'Head office'), [], 'Saved zone types');
+        assert(findRow('regular', 'Head office').classList.contains('has-error'), 'The conflict is not shown on the row');
+        assertEqual(document.getElementById('moveQueueNotice').style.display, 'none', 'Queue notice after the retry');
+    });
+
+    test('moves still save when Firestore is unavailable', async () => {
+        const mounted = await mount();
+        mounted.firestore.setFailure(new Error('Firestore is offline'));
+
+        await dragAndDrop(findRow('regular', 'Head office'), 'yardmove');
+
+        assert(rowNames('yardmove').includes('Head office'), 'The zone did not move');
+        assert(zoneTypeIds(mounted, 'Head office').includes(YARD_TYPE_ID), 'The zone type was not saved');
+    });
+
+    test('zone names are shown as text, not markup', async () => {
+        const mounted = await mount();
+        const zone = mounted.mock.getEntities('Zone').find(z => z.name === 'Head office');
+        const name = '<img src="x" class="injected"> "Head" office';
+        mounted.mock.editEntity('Zone', zone.id, { name: name });
+
+        await window.refreshZones();
+        await waitFor(() => rowNames('regular').includes(name), 'the renamed zone');
+        assertEqual(findRow('regular', name).querySelector('strong').textContent, name, 'Row name');
+        assertEqual(document.querySelectorAll('#yardMoveZones .injected').length, 0, 'Injected elements');
+    });
+
+    test('refreshing shows zones changed in another session', async () => {
+        const mounted = await mount();
+        const zone = mounted.mock.getEntities('Zone').find(z => z.name === 'Head office');
+        mounted.mock.editEntity('Zone', zone.id, { name: 'Head office (renamed)' });
+
+        await window.refreshZones();
+        await waitFor(() => rowNames('regular').includes('Head office (renamed)'), 'the renamed zone');
+    });
+
+    /**
+     * Run every test in order and show the results
+     */
+    async function run() {
+        const resultsEl = document.getElementById('testResults');
+        const summaryEl = document.getElementById('testSummary');
+        const results = [];
+
+        for (const entry of tests) {
+            const started = Date.now();
+            let error = null;
+            try {
+                await entry.fn();
+            } catch (caught) {
+                error = caught;
+                console.error(`FAIL ${entry.name}:`, caught);
+            }
+            results.push({ name: entry.name, passed: !error, error: error ? error.message : null, ms: Date.now() - started });
+
+            const item = document.createElement('li');
+            item.className = `list-group-item ${error ? 'list-group-item-danger' : 'list-group-item-success'}`;
+            item.textContent = `${error ? '✗' : '✓'} ${entry.name} (${Date.now() - started} ms)${error ? ` - ${error.message}` : ''}`;
+            resultsEl.appendChild(item);
+        }
+        YardMoveDev.unmountAddin();
+
+        const failed = results.filter(result => !result.passed).length;
+        summaryEl.textContent = `${results.length - failed} passed, ${failed} failed`;
+        summaryEl.className = `alert ${failed > 0 ? 'alert-danger' : 'alert-success'}`;
+        document.title = `${failed > 0 ? 'FAIL' : 'PASS'} - Yard Move Zone Manager tests`;
+
+        // For headless runners to read
+        window.devTestResults = { passed: results.length - failed, failed: failed, results: results };
+    }
+
+    run();
+})();